@@ -0,0 +1,873 @@
+// Mounts the real component. pubsub-js is a peer dependency, so a small
+// synchronous stand-in delivers published events to subscribers.
+jest.mock('pubsub-js', () => {
+  const topics = {}
+  let lastToken = 0
+  return {
+    publish: jest.fn((topic, data) => {
+      Object.values(topics[topic] || {}).forEach(callback => callback(topic, data))
+      return true
+    }),
+    subscribe: jest.fn((topic, callback) => {
+      const token = `token-${++lastToken}`
+      topics[topic] = { ...topics[topic], [token]: callback }
+      return token
+    }),
+    unsubscribe: jest.fn(token => {
+      Object.values(topics).forEach(callbacks => delete callbacks[token])
+    }),
+    clearAllSubscriptions: jest.fn(() => {
+      Object.keys(topics).forEach(topic => delete topics[topic])
+    })
+  }
+}, { virtual: true })
+
+import PubSub from 'pubsub-js'
+import { mount, createLocalVue } from '@vue/test-utils'
+import VueRouter from 'vue-router'
+import ActiveFilters from '../src/components/ActiveFilters.vue'
+import { EventBus, EVENTS } from '../src/utils/eventBus.js'
+import { FilterValidationError } from '../src/utils/filterSchema.js'
+
+const stubs = {
+  'el-tag': {
+    props: ['closable'],
+    render(h) {
+      return h('span', { attrs: { 'data-closable': String(!!this.closable) } }, this.$slots.default)
+    }
+  },
+  'el-button': {
+    props: ['disabled'],
+    render(h) {
+      return h('button', { attrs: { disabled: this.disabled }, on: { click: () => this.$emit('click') } }, this.$slots.default)
+    }
+  },
+  'el-popover': true,
+  'el-select': true,
+  'el-option': true,
+  'el-input': true
+}
+
+const mountFilters = propsData => mount(ActiveFilters, { propsData, stubs })
+
+// Published events, without the noise of the component's own label lookups
+const published = () => PubSub.publish.mock.calls
+  .filter(([topic]) => topic !== EVENTS.DATA_LOADING && topic !== EVENTS.DATA_LOADED)
+
+describe('ActiveFilters (mounted)', () => {
+  let wrapper
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    if (wrapper) wrapper.destroy()
+    wrapper = null
+    PubSub.clearAllSubscriptions()
+  })
+
+  describe('Loading state', () => {
+    it('should queue removals while loading and send them once it ends', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending', 'closed'] }, disableWhileLoading: true })
+
+      EventBus.publish(EVENTS.DATA_LOADING, {})
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.find('.filter-loading').exists()).toBe(true)
+      expect(wrapper.attributes('aria-busy')).toBe('true')
+      expect(wrapper.find('.clear-all-btn').attributes('disabled')).toBe('disabled')
+      expect(wrapper.findAll('[data-closable="true"]')).toHaveLength(0)
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      wrapper.vm.handleRemoveFilter('status', 'pending')
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findAll('.is-queued')).toHaveLength(2)
+      expect(wrapper.emitted('remove-filter')).toBeUndefined()
+
+      PubSub.publish.mockClear()
+      EventBus.publish(EVENTS.DATA_LOADED, {})
+      await wrapper.vm.$nextTick()
+
+      // One batch, so the page refetches once
+      const operations = [
+        { type: 'remove', columnProp: 'status', value: 'active', operator: 'eq' },
+        { type: 'remove', columnProp: 'status', value: 'pending', operator: 'eq' }
+      ]
+      const filters = { status: ['closed'] }
+      expect(wrapper.emitted('change')).toEqual([[{ operations, filters }]])
+      expect(published()).toEqual([
+        [EVENTS.FILTERS_BATCH_CHANGED, { operations, filters, source: 'ActiveFilters' }]
+      ])
+      expect(wrapper.emitted('remove-filter')).toBeUndefined()
+      expect(wrapper.vm.history.undoStack).toHaveLength(1)
+    })
+
+    it('should send queued removals when loading starts and ends in one tick', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'] } })
+
+      EventBus.publish(EVENTS.DATA_LOADING, {})
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      EventBus.publish(EVENTS.DATA_LOADED, {})
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.emitted('change')).toEqual([[{
+        operations: [{ type: 'remove', columnProp: 'status', value: 'active', operator: 'eq' }],
+        filters: { status: ['pending'] }
+      }]])
+      expect(wrapper.vm.queuedRemovals).toEqual([])
+    })
+
+    it('should ignore its own label lookups', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active'] } })
+
+      EventBus.publish(EVENTS.DATA_LOADING, { columnProp: 'status', values: ['active'], source: 'ActiveFilters' })
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.vm.isLoading).toBe(false)
+    })
+
+    it('should flush with the loading prop and skip values removed meanwhile', async () => {
+      wrapper = mountFilters({ activeFilters: { price: [{ min: 10, max: 50 }], status: ['active'] }, loading: true })
+
+      // Compared by value key, so an equal range object still matches
+      wrapper.vm.handleRemoveFilter('price', { min: 10, max: 50 })
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      await wrapper.setProps({ activeFilters: { price: [{ min: 10, max: 50 }] } })
+      await wrapper.setProps({ loading: false })
+
+      expect(wrapper.emitted('change')).toEqual([[{
+        operations: [{ type: 'remove', columnProp: 'price', value: { min: 10, max: 50 }, operator: 'eq' }],
+        filters: {}
+      }]])
+    })
+  })
+
+  describe('Batched changes', () => {
+    const chipTexts = () => wrapper.findAll('.filter-tag').wrappers.map(chip => chip.text())
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should send changes within the batch window as one batch', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'], category: ['books'] }, batchWindow: 300 })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      jest.advanceTimersByTime(200)
+      wrapper.vm.handleUpdateFilter('category', 'books', 'music')
+      jest.advanceTimersByTime(200)
+      await wrapper.vm.$nextTick()
+
+      // The window restarted with the edit; chips show both changes meanwhile
+      expect(wrapper.emitted('change')).toBeUndefined()
+      expect(chipTexts()).toEqual(['status: pending', 'category: music'])
+
+      jest.advanceTimersByTime(100)
+
+      const operations = [
+        { type: 'remove', columnProp: 'status', value: 'active', operator: 'eq' },
+        { type: 'update', columnProp: 'category', oldValue: 'books', newValue: 'music', operator: 'eq' }
+      ]
+      const filters = { status: ['pending'], category: ['music'] }
+      expect(wrapper.emitted('change')).toEqual([[{ operations, filters }]])
+      expect(published()).toEqual([
+        [EVENTS.FILTERS_BATCH_CHANGED, { operations, filters, source: 'ActiveFilters' }]
+      ])
+      expect(wrapper.emitted('remove-filter')).toBeUndefined()
+      expect(wrapper.vm.history.undoStack).toHaveLength(1)
+    })
+
+    it('should show the parent filters again once the batch is sent', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'] }, batchWindow: 300 })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      await wrapper.vm.$nextTick()
+      expect(chipTexts()).toEqual(['status: pending'])
+
+      // A parent that ignores `change` keeps its chips
+      jest.advanceTimersByTime(300)
+      await wrapper.vm.$nextTick()
+      expect(chipTexts()).toEqual(['status: active', 'status: pending'])
+
+      await wrapper.setProps({ activeFilters: { status: ['pending'] } })
+      expect(chipTexts()).toEqual(['status: pending'])
+    })
+
+    it('should drop a pending batch on Clear All', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'] }, batchWindow: 300 })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      await wrapper.find('.clear-all-btn').trigger('click')
+      jest.advanceTimersByTime(300)
+
+      expect(wrapper.emitted('change')).toBeUndefined()
+      expect(wrapper.emitted('clear-all')).toHaveLength(1)
+      expect(published().map(([topic]) => topic)).toEqual([EVENTS.FILTERS_CLEARED])
+    })
+
+    it('should send a pending batch when the window is set to 0 or the bar is destroyed', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'] }, batchWindow: 300 })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      await wrapper.setProps({ batchWindow: 0 })
+
+      expect(wrapper.emitted('change')).toHaveLength(1)
+
+      await wrapper.setProps({ batchWindow: 300 })
+      wrapper.vm.handleRemoveFilter('status', 'pending')
+      const emitted = wrapper.emitted()
+      wrapper.destroy()
+      wrapper = null
+      jest.advanceTimersByTime(300)
+
+      expect(emitted.change).toHaveLength(2)
+      expect(emitted.change[1][0].operations).toEqual([
+        { type: 'remove', columnProp: 'status', value: 'pending', operator: 'eq' }
+      ])
+    })
+
+    it('should send removals queued while loading through the batch window', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending', 'closed'] }, batchWindow: 300, loading: true })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      wrapper.vm.handleRemoveFilter('status', 'pending')
+      await wrapper.setProps({ loading: false })
+      jest.advanceTimersByTime(200)
+
+      expect(wrapper.emitted('change')).toBeUndefined()
+      expect(chipTexts()).toEqual(['status: closed'])
+
+      // A removal within the window joins the same batch
+      wrapper.vm.handleRemoveFilter('status', 'closed')
+      jest.advanceTimersByTime(300)
+
+      const operations = ['active', 'pending', 'closed'].map(value => ({ type: 'remove', columnProp: 'status', value, operator: 'eq' }))
+      expect(wrapper.emitted('change')).toEqual([[{ operations, filters: {} }]])
+      expect(published()).toEqual([
+        [EVENTS.FILTERS_BATCH_CHANGED, { operations, filters: {}, source: 'ActiveFilters' }]
+      ])
+      expect(wrapper.emitted('remove-filter')).toBeUndefined()
+      expect(wrapper.vm.history.undoStack).toHaveLength(1)
+    })
+  })
+
+  describe('Filter chips', () => {
+    it('should render the same chip inline, grouped and in the overflow popover', () => {
+      const propsData = {
+        activeFilters: { status: ['active', 'closed'] },
+        facetCounts: { status: { active: 3, closed: 0 } },
+        lockedFilters: { status: ['closed'] },
+        excludeToggle: true,
+        suspendToggle: true
+      }
+
+      wrapper = mountFilters(propsData)
+      const [active, closed] = wrapper.findAll('.filter-tag').wrappers
+
+      expect(active.text()).toContain('active')
+      expect(active.find('.filter-facet-count').text()).toBe('(3)')
+      expect(active.attributes('data-closable')).toBe('true')
+      expect(active.find('.filter-exclude-toggle').exists()).toBe(true)
+      expect(active.find('.filter-suspend-toggle').exists()).toBe(true)
+      expect(closed.classes()).toEqual(expect.arrayContaining(['is-locked', 'is-stale']))
+      expect(closed.find('.filter-lock').exists()).toBe(true)
+      expect(closed.find('.filter-exclude-toggle').exists()).toBe(false)
+      wrapper.destroy()
+
+      wrapper = mountFilters({ ...propsData, maxVisibleTags: 1 })
+      const hidden = wrapper.find('.overflow-tags .filter-tag')
+
+      expect(hidden.classes()).toContain('is-locked')
+      expect(hidden.find('.filter-facet-count').text()).toBe('(0)')
+      wrapper.destroy()
+
+      wrapper = mountFilters({ ...propsData, displayMode: 'grouped' })
+      const group = wrapper.find('.group-tag')
+
+      expect(group.classes()).toContain('is-locked')
+      expect(group.attributes('data-closable')).toBe('false')
+      expect(group.attributes('aria-haspopup')).toBe('true')
+      expect(wrapper.findAll('.group-values .filter-tag')).toHaveLength(2)
+    })
+
+    it('should toggle a chip from its icons', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active'] }, excludeToggle: true, suspendToggle: true })
+
+      await wrapper.find('.filter-exclude-toggle').trigger('click')
+      await wrapper.find('.filter-suspend-toggle').trigger('click')
+
+      expect(wrapper.emitted('toggle-exclude')).toHaveLength(1)
+      expect(wrapper.emitted('toggle-filter')).toHaveLength(1)
+    })
+
+    it('should name the toggles and suspend a chip with S', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active'] }, excludeToggle: true, suspendToggle: true })
+      const chip = wrapper.find('[data-chip-index="0"]')
+
+      expect(chip.find('.filter-exclude-toggle').attributes()).toMatchObject({ role: 'button', 'aria-label': 'Exclude' })
+      expect(chip.find('.filter-suspend-toggle').attributes()).toMatchObject({ role: 'button', 'aria-label': 'Disable' })
+
+      await chip.trigger('keydown', { key: 's', ctrlKey: true })
+      expect(wrapper.emitted('toggle-filter')).toBeUndefined()
+
+      await chip.trigger('keydown', { key: 's' })
+      expect(wrapper.emitted('toggle-filter')).toHaveLength(1)
+      expect(chip.classes()).toContain('is-suspended')
+      expect(chip.find('.filter-suspend-toggle').attributes('aria-label')).toBe('Enable')
+    })
+
+    it('should leave suspended chips out of the count and the effective filters', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'pending'], category: ['books'] }, suspendToggle: true })
+      const chips = wrapper.findAll('.filter-tag')
+
+      await chips.at(1).trigger('keydown', { key: 's' })
+      await chips.at(2).trigger('keydown', { key: 's' })
+
+      expect(wrapper.find('.filter-count-text').text()).toBe('1 filter applied, 2 suspended')
+      expect(wrapper.emitted('toggle-filter').map(([event]) => event)).toEqual([
+        { columnProp: 'status', value: 'pending', enabled: false, filters: { status: ['active'], category: ['books'] } },
+        { columnProp: 'category', value: 'books', enabled: false, filters: { status: ['active'] } }
+      ])
+      expect(published()[1]).toEqual([EVENTS.FILTER_TOGGLED, {
+        columnProp: 'category',
+        value: 'books',
+        operator: 'eq',
+        enabled: false,
+        filters: { status: ['active'] },
+        source: 'ActiveFilters'
+      }])
+
+      await chips.at(1).trigger('keydown', { key: 's' })
+      expect(wrapper.find('.filter-count-text').text()).toBe('2 filters applied, 1 suspended')
+    })
+
+    it('should look up facet counts by value key', async () => {
+      wrapper = mountFilters({
+        activeFilters: { status: ['active', 'archived', 'pending'], price: [{ min: 10, max: 50 }] },
+        facetCounts: { status: { active: 1204, archived: 0 }, price: { '10..50': 7 } }
+      })
+      const counts = () => wrapper.findAll('.filter-tag').wrappers.map(chip => {
+        const count = chip.find('.filter-facet-count')
+        return count.exists() ? count.text() : null
+      })
+
+      expect(counts()).toEqual(['(1,204)', '(0)', null, '(7)'])
+      expect(wrapper.findAll('.filter-tag').wrappers.map(chip => chip.classes('is-stale'))).toEqual([false, true, false, false])
+
+      await wrapper.setProps({ facetCounts: null })
+      expect(counts()).toEqual([null, null, null, null])
+    })
+
+    it('should take facet counts from DATA_LOADED unless the prop sets them', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active'] } })
+
+      EventBus.publish(EVENTS.DATA_LOADED, { facetCounts: { status: { active: 12 } }, source: 'ResultsTable' })
+      await wrapper.vm.$nextTick()
+      expect(wrapper.find('.filter-facet-count').text()).toBe('(12)')
+
+      await wrapper.setProps({ facetCounts: { status: { active: 3 } } })
+      expect(wrapper.find('.filter-facet-count').text()).toBe('(3)')
+    })
+
+    it('should suspend chips inside the overflow popover with S', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'closed'] }, suspendToggle: true, maxVisibleTags: 1 })
+
+      await wrapper.find('.overflow-tags .filter-tag').trigger('keydown', { key: 'S' })
+
+      expect(wrapper.emitted('toggle-filter')[0][0]).toMatchObject({ columnProp: 'status', value: 'closed', enabled: false })
+    })
+
+    it('should let the tag slot replace the chip text', () => {
+      wrapper = mount(ActiveFilters, {
+        propsData: { activeFilters: { status: ['active'] }, facetCounts: { status: { active: 3 } } },
+        stubs,
+        scopedSlots: { tag: '<b class="custom">{{ props.valueLabel }}</b>' }
+      })
+
+      expect(wrapper.find('.filter-tag .custom').text()).toBe('active')
+      expect(wrapper.find('.filter-facet-count').exists()).toBe(false)
+    })
+  })
+
+  describe('Operators', () => {
+    it('should render the operator of operator values', () => {
+      wrapper = mountFilters({
+        activeFilters: {
+          status: ['active', { operator: 'neq', value: 'archived' }],
+          price: [{ operator: 'gt', value: 100 }],
+          tag: [{ operator: 'notIn', value: ['a', 'b'] }]
+        },
+        filterLabels: { status: 'Status', price: 'Price', tag: 'Tag' }
+      })
+
+      expect(wrapper.findAll('.filter-tag').wrappers.map(chip => chip.text()))
+        .toEqual(['Status: active', 'Status ≠ archived', 'Price > 100', 'Tag is none of a, b'])
+    })
+
+    it('should send the operator with a removed filter', async () => {
+      const archived = { operator: 'neq', value: 'archived' }
+      wrapper = mountFilters({ activeFilters: { status: ['active', archived] } })
+
+      await wrapper.findAll('.filter-tag').at(1).trigger('keydown', { key: 'Delete' })
+      await wrapper.findAll('.filter-tag').at(0).trigger('keydown', { key: 'Delete' })
+
+      expect(wrapper.emitted('remove-filter')).toEqual([
+        [{ columnProp: 'status', value: archived, operator: 'neq' }],
+        [{ columnProp: 'status', value: 'active', operator: 'eq' }]
+      ])
+      expect(published()).toEqual([
+        [EVENTS.FILTER_REMOVED, { columnProp: 'status', value: archived, operator: 'neq', source: 'ActiveFilters' }],
+        [EVENTS.FILTER_REMOVED, { columnProp: 'status', value: 'active', operator: 'eq', source: 'ActiveFilters' }]
+      ])
+    })
+  })
+
+  describe('Locked filters', () => {
+    it('should render locked chips without a close button and keep them on Delete', async () => {
+      wrapper = mountFilters({ activeFilters: { year: [2024, 2023] }, lockedFilters: { year: [2024] } })
+      const chips = wrapper.findAll('.filter-tag')
+
+      expect(chips.at(0).classes()).toContain('is-locked')
+      expect(chips.wrappers.map(chip => chip.attributes('data-closable'))).toEqual(['false', 'true'])
+
+      await chips.at(0).trigger('keydown', { key: 'Delete' })
+      wrapper.vm.handleRemoveFilter('year', 2024)
+      expect(wrapper.emitted('remove-filter')).toBeUndefined()
+      expect(published()).toEqual([])
+
+      await chips.at(1).trigger('keydown', { key: 'Delete' })
+      expect(wrapper.emitted('remove-filter')).toEqual([[{ columnProp: 'year', value: 2023, operator: 'eq' }]])
+    })
+
+    it('should keep locked values when clearing all', async () => {
+      wrapper = mountFilters({ activeFilters: { tenant: ['acme'], status: ['active'] }, lockedFilters: { tenant: ['acme'] } })
+
+      await wrapper.find('.clear-all-btn').trigger('click')
+
+      const payload = { cleared: { status: ['active'] }, kept: { tenant: ['acme'] } }
+      expect(wrapper.emitted('clear-all')).toEqual([[payload]])
+      expect(published()).toEqual([[EVENTS.FILTERS_CLEARED, { ...payload, source: 'ActiveFilters' }]])
+
+      await wrapper.setProps({ activeFilters: { tenant: ['acme'] } })
+      expect(wrapper.find('.clear-all-btn').exists()).toBe(false)
+    })
+
+    it('should not clear a grouped column that holds a locked value', async () => {
+      wrapper = mountFilters({
+        activeFilters: { year: [2024, 2023], status: ['active'] },
+        lockedFilters: { year: [2024] },
+        displayMode: 'grouped'
+      })
+      const groups = wrapper.findAll('.group-tag')
+
+      expect(groups.wrappers.map(group => group.attributes('data-closable'))).toEqual(['false', 'true'])
+
+      await groups.at(0).trigger('keydown', { key: 'Delete' })
+      wrapper.vm.handleClearColumn('year')
+      expect(wrapper.emitted('clear-column')).toBeUndefined()
+
+      await groups.at(1).trigger('keydown', { key: 'Delete' })
+      expect(wrapper.emitted('clear-column')).toEqual([[{ columnProp: 'status', values: ['active'] }]])
+    })
+  })
+
+  describe('Scoped slots', () => {
+    const mountWithSlots = (propsData, scopedSlots) => mount(ActiveFilters, { propsData, stubs, scopedSlots })
+
+    it('should prefer the per-column tag slot over the generic one', () => {
+      wrapper = mountWithSlots({ activeFilters: { status: ['active'], category: ['books'] } }, {
+        tag: '<i class="generic">{{ props.value }}</i>',
+        'tag-status': '<b class="status">{{ props.label }} is {{ props.value }}</b>'
+      })
+
+      expect(wrapper.findAll('.filter-tag .status').wrappers.map(slot => slot.text())).toEqual(['status is active'])
+      expect(wrapper.findAll('.filter-tag .generic').wrappers.map(slot => slot.text())).toEqual(['books'])
+    })
+
+    it('should remove the filter through the remove callback of the tag slot', async () => {
+      wrapper = mountWithSlots({ activeFilters: { status: ['active'] } }, {
+        tag: '<button class="slot-remove" @click="props.remove">x</button>'
+      })
+
+      await wrapper.find('.slot-remove').trigger('click')
+
+      expect(wrapper.emitted('remove-filter')).toEqual([[{ columnProp: 'status', value: 'active', operator: 'eq' }]])
+    })
+
+    it('should render the header, count and clear-all slots with the header props', async () => {
+      wrapper = mountWithSlots({ activeFilters: { status: ['active', 'closed'] } }, {
+        count: '<span class="custom-count">{{ props.count }} on</span>',
+        'clear-all': '<button class="custom-clear" @click="props.clearAll">reset</button>'
+      })
+
+      expect(wrapper.find('.custom-count').text()).toBe('2 on')
+      expect(wrapper.find('.clear-all-btn').exists()).toBe(false)
+
+      await wrapper.find('.custom-clear').trigger('click')
+      expect(wrapper.emitted('clear-all')).toHaveLength(1)
+
+      wrapper.destroy()
+      wrapper = mountWithSlots({ activeFilters: { status: ['active'] } }, {
+        header: '<div class="custom-header">{{ props.count }} filters</div>'
+      })
+
+      expect(wrapper.find('.custom-header').text()).toBe('1 filters')
+      expect(wrapper.find('.filter-count-text').exists()).toBe(false)
+    })
+
+    it('should render the empty slot when there are no filters', () => {
+      wrapper = mountWithSlots({ activeFilters: {} }, { empty: '<p class="no-filters">Nothing filtered</p>' })
+
+      expect(wrapper.find('.active-filters-empty').text()).toBe('Nothing filtered')
+      expect(wrapper.find('.filter-header').exists()).toBe(false)
+    })
+  })
+
+  describe('Overflow', () => {
+    const inlineChips = () => wrapper.findAll('.filter-tag').wrappers
+      .filter(chip => !chip.element.closest('.overflow-tags'))
+    const hiddenChips = () => wrapper.findAll('.overflow-tags .filter-tag').wrappers
+    const countText = () => wrapper.find('.filter-count-text').text()
+
+    it('should count the "+N more" tag like the header, with suspended chips apart', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['a', 'b', 'c', 'd', 'e'] }, maxVisibleTags: 2, suspendToggle: true })
+
+      expect(inlineChips()).toHaveLength(2)
+      expect(hiddenChips().map(chip => chip.text())).toEqual(['status: c', 'status: d', 'status: e'])
+      expect(wrapper.find('.more-tag').text()).toBe('+3 more')
+      expect(countText()).toBe('5 filters applied')
+
+      await hiddenChips()[0].trigger('keydown', { key: 's' })
+
+      expect(wrapper.find('.more-tag').text()).toBe('+2 more, 1 suspended')
+      expect(countText()).toBe('4 filters applied, 1 suspended')
+    })
+
+    it('should count the values of collapsed groups', () => {
+      wrapper = mountFilters({
+        activeFilters: { status: ['active', 'pending'], category: ['books', 'music', 'games'] },
+        displayMode: 'grouped',
+        maxVisibleTags: 1
+      })
+
+      expect(wrapper.findAll('.group-tag')).toHaveLength(1)
+      expect(hiddenChips()).toHaveLength(3)
+      expect(wrapper.find('.more-tag').text()).toBe('+3 more')
+    })
+
+    it('should collapse chips past maxRows, and take the smaller of both limits', async () => {
+      // Three chips per 32px row; chips inside the popover have no layout
+      const offsetTop = jest.spyOn(HTMLElement.prototype, 'offsetTop', 'get')
+        .mockImplementation(function () {
+          return Math.floor(Number(this.getAttribute('data-chip-index')) / 3) * 32
+        })
+      const offsetParent = jest.spyOn(HTMLElement.prototype, 'offsetParent', 'get')
+        .mockImplementation(function () {
+          return this.hasAttribute('data-chip-index') ? document.body : null
+        })
+
+      try {
+        wrapper = mountFilters({ activeFilters: { status: ['a', 'b', 'c', 'd', 'e'] }, maxRows: 1 })
+        await wrapper.vm.$nextTick()
+        await wrapper.vm.$nextTick()
+
+        // Room is left on the first row for the "+N more" tag
+        expect(inlineChips()).toHaveLength(2)
+        expect(wrapper.find('.more-tag').text()).toBe('+3 more')
+
+        await wrapper.setProps({ maxVisibleTags: 1 })
+        expect(inlineChips()).toHaveLength(1)
+        expect(wrapper.find('.more-tag').text()).toBe('+4 more')
+
+        await wrapper.find('.show-all-btn').trigger('click')
+        await wrapper.vm.$nextTick()
+        expect(inlineChips()).toHaveLength(5)
+        expect(wrapper.find('.more-tag').text()).toBe('Show less')
+      } finally {
+        offsetTop.mockRestore()
+        offsetParent.mockRestore()
+      }
+    })
+  })
+
+  describe('Grouped display', () => {
+    it('should render one chip per column that previews its first values', async () => {
+      wrapper = mountFilters({
+        activeFilters: { category: ['electronics', 'books', 'toys'], status: ['active'] },
+        displayMode: 'grouped'
+      })
+      const groupTexts = () => wrapper.findAll('.group-tag').wrappers.map(group => group.text())
+
+      expect(groupTexts()).toEqual(['category: electronics, books +1', 'status: active'])
+      expect(wrapper.findAll('.group-values').wrappers.map(values => values.findAll('.filter-tag').length)).toEqual([3, 1])
+
+      await wrapper.setProps({ groupPreviewCount: 1 })
+      expect(groupTexts()).toEqual(['category: electronics +2', 'status: active'])
+    })
+
+    it('should clear the whole column from its chip', async () => {
+      wrapper = mountFilters({ activeFilters: { category: ['electronics', 'books'], status: ['active'] }, displayMode: 'grouped' })
+
+      await wrapper.find('.group-tag').trigger('keydown', { key: 'Delete' })
+
+      expect(wrapper.emitted('clear-column')).toEqual([[{ columnProp: 'category', values: ['electronics', 'books'] }]])
+      expect(published()).toEqual([
+        [EVENTS.COLUMN_CLEARED, { columnProp: 'category', values: ['electronics', 'books'], source: 'ActiveFilters' }]
+      ])
+    })
+  })
+
+  describe('Keyboard navigation', () => {
+    // Like el-popover, which sets `tabindex` on its reference once mounted
+    const popoverStub = {
+      props: { tabindex: { type: Number, default: 0 } },
+      mounted() {
+        this.$el.lastChild.firstChild.setAttribute('tabindex', this.tabindex)
+      },
+      render(h) {
+        return h('span', [h('div', this.$slots.default), h('span', this.$slots.reference)])
+      }
+    }
+
+    const mountKeyboard = propsData => mount(ActiveFilters, {
+      propsData,
+      stubs: { ...stubs, 'el-popover': popoverStub },
+      attachTo: document.body
+    })
+    const tabStops = () => wrapper.findAll('.active-filters-tags [tabindex="0"]').wrappers
+      .filter(stop => !stop.element.closest('.overflow-tags, .group-values'))
+    const focused = () => document.activeElement.getAttribute('data-chip-index')
+
+    it('should keep one chip in the tab order and move focus with the keys', async () => {
+      wrapper = mountKeyboard({ activeFilters: { status: ['active', 'pending', 'closed'], category: ['books'] }, maxVisibleTags: 3 })
+
+      expect(tabStops().map(stop => stop.attributes('data-chip-index'))).toEqual(['0'])
+      // Three inline editors and one in the overflow popover
+      expect(wrapper.findAll('.tag-editor-reference').wrappers.map(reference => reference.attributes('tabindex')))
+        .toEqual(['-1', '-1', '-1', '-1'])
+
+      const chip = index => wrapper.find(`[data-chip-index="${index}"]`)
+      await chip(0).trigger('keydown', { key: 'ArrowRight' })
+      expect(focused()).toBe('1')
+      await chip(1).trigger('keydown', { key: 'End' })
+      expect(focused()).toBe('3')
+      expect(tabStops().map(stop => stop.attributes('data-chip-index'))).toEqual(['3'])
+      await chip(3).trigger('keydown', { key: 'Home' })
+      expect(focused()).toBe('0')
+      await chip(0).trigger('keydown', { key: 'ArrowLeft' })
+      expect(focused()).toBe('0')
+
+      await chip(1).trigger('keydown', { key: 'Delete' })
+      expect(wrapper.emitted('remove-filter')).toEqual([[{ columnProp: 'status', value: 'pending', operator: 'eq' }]])
+
+      // Focus moves to the neighbour once the parent drops the value
+      await wrapper.setProps({ activeFilters: { status: ['active', 'closed'], category: ['books'] } })
+      await wrapper.vm.$nextTick()
+      expect(focused()).toBe('1')
+      expect(document.activeElement.textContent).toContain('closed')
+      expect(tabStops().map(stop => stop.attributes('data-chip-index'))).toEqual(['1'])
+    })
+
+    it('should keep the roving tabindex on grouped chips', async () => {
+      wrapper = mountKeyboard({ activeFilters: { status: ['active'], category: ['books'] }, displayMode: 'grouped' })
+
+      expect(wrapper.findAll('.group-tag').wrappers.map(group => group.attributes('tabindex'))).toEqual(['0', '-1'])
+
+      await wrapper.find('[data-chip-index="0"]').trigger('keydown', { key: 'ArrowRight' })
+      expect(focused()).toBe('1')
+      expect(wrapper.findAll('.group-tag').wrappers.map(group => group.attributes('tabindex'))).toEqual(['-1', '0'])
+    })
+  })
+
+  describe('URL sync', () => {
+    const localVue = createLocalVue()
+    localVue.use(VueRouter)
+
+    const mountWithRouter = propsData => mount(ActiveFilters, {
+      localVue,
+      router: new VueRouter({ mode: 'history' }),
+      propsData: { syncWithUrl: true, ...propsData },
+      stubs
+    })
+
+    afterEach(() => {
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('should round-trip values through the router without encoding them twice', async () => {
+      const filters = {
+        name: ['x:y', 'a..b', '100%', 'a,b', 'a~b'],
+        price: [{ min: '1.5', max: null }],
+        status: [{ operator: 'in', value: ['a,b', 'c'] }]
+      }
+
+      wrapper = mountWithRouter({ activeFilters: filters })
+      await wrapper.vm.$nextTick()
+
+      const search = decodeURIComponent(window.location.search)
+      expect(search).toContain('filter_name=x~:y&filter_name=a~.~.b&filter_name=100%&filter_name=a~,b&filter_name=a~~b')
+      expect(search).toContain('filter_price=1.5..')
+      expect(search).toContain('filter_status=in:a~,b,c')
+      expect(window.location.search).not.toMatch(/%25(3A|2E|2C)/)
+      wrapper.destroy()
+
+      // A reload reads the filters back from the URL
+      wrapper = mountWithRouter({ activeFilters: {} })
+
+      expect(wrapper.emitted('url-change')).toEqual([[filters]])
+    })
+  })
+
+  describe('Filter schema', () => {
+    const filterSchema = {
+      status: { label: 'Status', values: ['active', 'pending'] },
+      price: { type: 'number' }
+    }
+
+    it('should label chips from the schema and report each set of errors once', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'archived'], price: ['10'] }, filterSchema })
+
+      expect(wrapper.findAll('.filter-tag').wrappers.map(chip => chip.text())).toEqual(['Status: active', 'price: 10'])
+      expect(wrapper.emitted('validation-error')).toHaveLength(1)
+      expect(wrapper.emitted('validation-error')[0][0].errors.map(error => error.reason)).toEqual(['notAllowed'])
+
+      // Same errors, recomputed
+      await wrapper.setProps({ activeFilters: { status: ['active', 'archived'], price: ['20'] } })
+      await wrapper.setProps({ filterLabels: { status: 'State' } })
+      expect(wrapper.emitted('validation-error')).toHaveLength(1)
+      expect(wrapper.find('.filter-tag').text()).toBe('State: active')
+
+      await wrapper.setProps({ activeFilters: { status: ['active'], price: ['cheap'] } })
+      expect(wrapper.emitted('validation-error')).toHaveLength(2)
+      expect(wrapper.emitted('validation-error')[1][0].errors.map(error => error.reason)).toEqual(['invalidType'])
+    })
+
+    it('should pass strict errors to the error handling of the parent', () => {
+      const errorCaptured = jest.fn(() => false)
+      wrapper = mount({
+        render: h => h(ActiveFilters, { props: { activeFilters: { status: ['archived', 'active'] }, filterSchema, strictSchema: true } }),
+        errorCaptured
+      }, { stubs })
+
+      expect(errorCaptured).toHaveBeenCalledTimes(1)
+      expect(errorCaptured.mock.calls[0][0]).toBeInstanceOf(FilterValidationError)
+      expect(errorCaptured.mock.calls[0][0].errors[0]).toMatchObject({ columnProp: 'status', value: 'archived' })
+      expect(wrapper.findAll('.filter-tag')).toHaveLength(1)
+    })
+
+    it('should send the parent its own values rather than the coerced ones', async () => {
+      wrapper = mountFilters({ activeFilters: { price: ['10', '20'] }, filterSchema, excludeToggle: true })
+
+      wrapper.vm.handleRemoveFilter('price', 10)
+      wrapper.vm.handleToggleExclude('price', 20)
+      await wrapper.find('.clear-all-btn').trigger('click')
+
+      expect(wrapper.emitted('remove-filter')).toEqual([[{ columnProp: 'price', value: '10', operator: 'eq' }]])
+      expect(wrapper.emitted('toggle-exclude')[0][0]).toMatchObject({ oldValue: '20', newValue: { operator: 'neq', value: 20 } })
+      expect(wrapper.emitted('update-filter')[0][0]).toMatchObject({ oldValue: '20', values: ['10', { operator: 'neq', value: 20 }] })
+      expect(wrapper.emitted('clear-all')).toEqual([[{ cleared: { price: ['10', '20'] }, kept: {} }]])
+      expect(wrapper.vm.history.undoStack[0]).toEqual({ price: ['10', '20'] })
+    })
+  })
+
+  describe('Theming', () => {
+    it('should give the popovers the theme classes and colour overrides of the section', () => {
+      wrapper = mountFilters({
+        activeFilters: { status: ['active', 'closed'] },
+        displayMode: 'grouped',
+        theme: 'dark',
+        size: 'mini',
+        backgroundColor: '#111'
+      })
+
+      expect(wrapper.classes()).toEqual(expect.arrayContaining(['theme-dark', 'size-mini']))
+      expect(wrapper.find('el-popover-stub').attributes('popper-class'))
+        .toBe('active-filters-group active-filters-popper theme-dark size-mini')
+      expect(wrapper.find('.group-values').attributes('style')).toContain('--af-bg-color: #111')
+
+      const editorClasses = wrapper.findAll('el-popover-stub').wrappers
+        .map(popover => popover.attributes('popper-class'))
+        .filter(popperClass => popperClass.startsWith('filter-tag-editor'))
+      expect(editorClasses).toEqual([
+        'filter-tag-editor active-filters-popper theme-dark size-mini',
+        'filter-tag-editor active-filters-popper theme-dark size-mini'
+      ])
+    })
+
+    it('should only override the colours that are set', async () => {
+      wrapper = mountFilters({ activeFilters: { status: ['active', 'closed'] }, maxVisibleTags: 1 })
+
+      expect(wrapper.attributes('style')).toBeUndefined()
+      expect(wrapper.find('.overflow-tags').attributes('style')).toBeUndefined()
+
+      await wrapper.setProps({ borderColor: '#000' })
+      expect(wrapper.attributes('style')).toBe('--af-border-color: #000;')
+      expect(wrapper.find('.overflow-tags').attributes('style')).toBe('--af-border-color: #000;')
+    })
+
+    it('should derive the chip effect from the theme unless the column sets its own', async () => {
+      const tagProps = () => wrapper.findAll('.filter-tag').wrappers
+        .map(chip => ({ size: chip.attributes('size'), type: chip.attributes('type'), effect: chip.attributes('effect') }))
+      wrapper = mountFilters({
+        activeFilters: { status: ['active'], category: ['books'] },
+        tagStyles: { status: { type: 'success', effect: 'plain' } }
+      })
+
+      expect(tagProps()).toEqual([
+        { size: 'small', type: 'success', effect: 'plain' },
+        { size: 'small', type: '', effect: 'light' }
+      ])
+
+      await wrapper.setProps({ theme: 'dark', size: 'mini' })
+      expect(tagProps()).toEqual([
+        { size: 'mini', type: 'success', effect: 'plain' },
+        { size: 'mini', type: '', effect: 'dark' }
+      ])
+    })
+  })
+
+  describe('Undo shortcut', () => {
+    const pressCtrlZ = target => {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }))
+    }
+
+    let other
+
+    afterEach(() => {
+      if (other) other.destroy()
+      other = null
+    })
+
+    it('should only undo in the bar that has focus, or was changed last', () => {
+      wrapper = mount(ActiveFilters, { propsData: { activeFilters: { status: ['active'] }, channel: 'a' }, stubs, attachTo: document.body })
+      other = mount(ActiveFilters, { propsData: { activeFilters: { status: ['active'] }, channel: 'b' }, stubs, attachTo: document.body })
+
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      other.vm.handleRemoveFilter('status', 'active')
+
+      // Focus inside the first bar
+      const chip = wrapper.find('[data-chip-index="0"]').element
+      chip.focus()
+      pressCtrlZ(chip)
+
+      expect(wrapper.emitted('restore-filters')).toHaveLength(1)
+      expect(other.emitted('restore-filters')).toBeUndefined()
+
+      // Nothing focused: the bar changed last
+      chip.blur()
+      wrapper.vm.handleRemoveFilter('status', 'active')
+      other.vm.handleRemoveFilter('status', 'active')
+      pressCtrlZ(document.body)
+
+      expect(wrapper.emitted('restore-filters')).toHaveLength(1)
+      expect(other.emitted('restore-filters')).toHaveLength(1)
+    })
+  })
+})
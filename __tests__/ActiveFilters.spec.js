@@ -4,7 +4,9 @@ jest.mock('../src/utils/eventBus.js', () => ({
     FILTER_CHANGED: 'FILTER_CHANGED',
     FILTER_REMOVED: 'FILTER_REMOVED',
     FILTERS_CLEARED: 'FILTERS_CLEARED',
-    FILTER_APPLIED: 'FILTER_APPLIED'
+    COLUMN_CLEARED: 'COLUMN_CLEARED',
+    FILTER_APPLIED: 'FILTER_APPLIED',
+    FILTERS_RESTORED: 'FILTERS_RESTORED'
   },
   EventBus: {
     publish: jest.fn(),
@@ -0,0 +1,201 @@
+// Mounts the real component. pubsub-js is a peer dependency, so a small
+// synchronous stand-in delivers published events to subscribers.
+jest.mock('pubsub-js', () => {
+  const topics = {}
+  let lastToken = 0
+  return {
+    publish: jest.fn((topic, data) => {
+      Object.values(topics[topic] || {}).forEach(callback => callback(topic, data))
+      return true
+    }),
+    subscribe: jest.fn((topic, callback) => {
+      const token = `token-${++lastToken}`
+      topics[topic] = { ...topics[topic], [token]: callback }
+      return token
+    }),
+    unsubscribe: jest.fn(token => {
+      Object.values(topics).forEach(callbacks => delete callbacks[token])
+    }),
+    clearAllSubscriptions: jest.fn(() => {
+      Object.keys(topics).forEach(topic => delete topics[topic])
+    })
+  }
+}, { virtual: true })
+
+import PubSub from 'pubsub-js'
+import { mount } from '@vue/test-utils'
+import DropdownFilter from '../src/components/DropdownFilter.vue'
+import { EventBus, EVENTS } from '../src/utils/eventBus.js'
+import { normalizeFilterChange } from '../src/utils/filterEvents.js'
+
+const stubs = {
+  'el-select': true,
+  'el-option': true
+}
+
+const mountDropdown = propsData => mount(DropdownFilter, { propsData: { columnProp: 'status', ...propsData }, stubs })
+
+// A remote method whose responses are resolved by the test, in any order
+const createDeferredSearch = () => {
+  const resolvers = {}
+  const remoteMethod = jest.fn(query => new Promise((resolve, reject) => {
+    resolvers[query] = { resolve, reject }
+  }))
+  return { remoteMethod, resolvers }
+}
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve))
+
+describe('DropdownFilter', () => {
+  let wrapper
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    if (wrapper) wrapper.destroy()
+    wrapper = null
+    PubSub.clearAllSubscriptions()
+  })
+
+  describe('Selection', () => {
+    it('should start without a selection in single mode', () => {
+      wrapper = mountDropdown({ multiple: false })
+
+      expect(wrapper.vm.selected).toBe('')
+      expect(wrapper.vm.selectedValues).toEqual([])
+    })
+
+    it('should take a single value, or the first of a list, in single mode', async () => {
+      wrapper = mountDropdown({ multiple: false, value: 'active' })
+
+      expect(wrapper.vm.selectedValues).toEqual(['active'])
+
+      await wrapper.setProps({ value: ['closed', 'pending'] })
+      expect(wrapper.vm.selected).toBe('closed')
+
+      await wrapper.setProps({ value: [] })
+      expect(wrapper.vm.selectedValues).toEqual([])
+    })
+
+    it('should publish payloads ActiveFilters accepts', () => {
+      wrapper = mountDropdown({ value: ['active'] })
+
+      wrapper.vm.handleChange(['active', 'pending'])
+
+      const [[topic, payload]] = PubSub.publish.mock.calls
+      expect(topic).toBe(EVENTS.FILTER_CHANGED)
+      expect(normalizeFilterChange(payload)).toEqual({
+        columnProp: 'status',
+        values: ['active', 'pending'],
+        source: 'DropdownFilter',
+        trigger: 'select'
+      })
+      expect(wrapper.emitted('input')).toEqual([[['active', 'pending']]])
+    })
+  })
+
+  describe('Sync with other components', () => {
+    it('should drop values removed from ActiveFilters', () => {
+      wrapper = mountDropdown({ value: ['active', 'pending'] })
+
+      EventBus.publish(EVENTS.FILTER_REMOVED, { columnProp: 'status', value: 'active', source: 'ActiveFilters' })
+      EventBus.publish(EVENTS.FILTER_REMOVED, { columnProp: 'category', value: 'pending', source: 'ActiveFilters' })
+
+      expect(wrapper.vm.selected).toEqual(['pending'])
+      expect(wrapper.emitted('input')).toEqual([[['pending']]])
+      expect(wrapper.emitted('sync')).toEqual([
+        [{ columnProp: 'status', values: ['pending'], event: EVENTS.FILTER_REMOVED }]
+      ])
+    })
+
+    it('should clear the selection when all filters are cleared', () => {
+      wrapper = mountDropdown({ multiple: false, value: 'active' })
+
+      EventBus.publish(EVENTS.FILTERS_CLEARED, { source: 'ActiveFilters' })
+
+      expect(wrapper.vm.selected).toBe('')
+      expect(wrapper.emitted('input')).toEqual([['']])
+    })
+
+    it('should ignore its own late echoes', () => {
+      wrapper = mountDropdown({ value: ['active', 'pending'] })
+
+      EventBus.publish(EVENTS.FILTER_CHANGED, { columnProp: 'status', values: ['active'], source: 'DropdownFilter' })
+
+      expect(wrapper.vm.selected).toEqual(['active', 'pending'])
+      expect(wrapper.emitted('input')).toBeUndefined()
+    })
+
+    it('should only listen on its channel', () => {
+      wrapper = mountDropdown({ value: ['active'], channel: 'orders' })
+
+      EventBus.publish(EVENTS.FILTERS_CLEARED, { source: 'ActiveFilters' })
+      expect(wrapper.vm.selected).toEqual(['active'])
+
+      EventBus.createChannel('orders').publish(EVENTS.FILTERS_CLEARED, { source: 'ActiveFilters' })
+      expect(wrapper.vm.selected).toEqual([])
+    })
+  })
+
+  describe('Remote search', () => {
+    it('should keep only the latest remote search result', async () => {
+      const { remoteMethod, resolvers } = createDeferredSearch()
+      wrapper = mountDropdown({ remoteMethod })
+
+      const slow = wrapper.vm.handleRemoteSearch('slow')
+      const fast = wrapper.vm.handleRemoteSearch('fast')
+      await flushPromises()
+
+      expect(remoteMethod).toHaveBeenCalledWith('fast', 'status')
+      expect(wrapper.vm.loading).toBe(true)
+
+      resolvers.fast.resolve([{ value: 'fast', label: 'Fast' }])
+      resolvers.slow.resolve([{ value: 'slow', label: 'Slow' }])
+      await Promise.all([slow, fast])
+
+      expect(wrapper.vm.remoteOptions).toEqual([{ value: 'fast', label: 'Fast' }])
+      expect(wrapper.vm.loading).toBe(false)
+    })
+
+    it('should ignore a failed stale request and clear the options on a failed latest one', async () => {
+      const { remoteMethod, resolvers } = createDeferredSearch()
+      wrapper = mountDropdown({ remoteMethod })
+
+      const first = wrapper.vm.handleRemoteSearch('a')
+      const second = wrapper.vm.handleRemoteSearch('ab')
+      await flushPromises()
+
+      resolvers.a.reject(new Error('stale'))
+      resolvers.ab.resolve([{ value: 'ab', label: 'AB' }])
+      await Promise.all([first, second])
+
+      expect(wrapper.vm.remoteOptions).toEqual([{ value: 'ab', label: 'AB' }])
+      expect(console.warn).not.toHaveBeenCalled()
+
+      const third = wrapper.vm.handleRemoteSearch('abc')
+      await flushPromises()
+      resolvers.abc.reject(new Error('offline'))
+      await third
+
+      expect(wrapper.vm.remoteOptions).toEqual([])
+      expect(wrapper.vm.loading).toBe(false)
+      expect(console.warn).toHaveBeenCalledWith('[DropdownFilter] Remote search failed:', expect.any(Error))
+    })
+
+    it('should load a first page when the dropdown opens', async () => {
+      const { remoteMethod, resolvers } = createDeferredSearch()
+      wrapper = mountDropdown({ remoteMethod })
+
+      wrapper.vm.handleVisibleChange(true)
+      await flushPromises()
+
+      expect(remoteMethod).toHaveBeenCalledWith('', 'status')
+      resolvers[''].resolve([{ value: 'active', label: 'Active' }])
+      await flushPromises()
+
+      expect(wrapper.vm.selectOptions).toEqual([{ value: 'active', label: 'Active' }])
+    })
+  })
+})
@@ -0,0 +1,59 @@
+// Mounts the real component. pubsub-js is a peer dependency and is not used
+// by these tests, so a bare stand-in is enough.
+jest.mock('pubsub-js', () => ({
+  publish: jest.fn(),
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn()
+}), { virtual: true })
+
+import { mount } from '@vue/test-utils'
+import FilterPresets from '../src/components/FilterPresets.vue'
+import { createMemoryAdapter } from '../src/utils/filterPresets.js'
+
+const stubs = {
+  'el-popover': true,
+  'el-input': true,
+  'el-button': {
+    props: ['disabled'],
+    render(h) {
+      return h('button', { attrs: { disabled: this.disabled }, on: { click: () => this.$emit('click') } }, this.$slots.default)
+    }
+  }
+}
+
+describe('FilterPresets', () => {
+  let wrapper
+
+  afterEach(() => {
+    if (wrapper) wrapper.destroy()
+    wrapper = null
+  })
+
+  it('should not rename a preset to the name of another', async () => {
+    wrapper = mount(FilterPresets, {
+      propsData: { presetKey: 'orders', storage: createMemoryAdapter(), activeFilters: { status: ['open'] } },
+      stubs
+    })
+    const [mine] = ['Mine', 'Team'].map(name => wrapper.vm.manager.save(name, { status: [name] }))
+    wrapper.vm.loadPresets()
+
+    wrapper.vm.startRename(mine)
+    wrapper.vm.editingName = 'Team'
+    await wrapper.vm.$nextTick()
+
+    const confirm = wrapper.find('.preset-item button')
+    expect(confirm.attributes('disabled')).toBe('disabled')
+
+    wrapper.vm.handleRenamePreset(mine.id)
+    expect(wrapper.emitted('rename-preset')).toBeUndefined()
+    expect(wrapper.vm.editingId).toBe(mine.id)
+    expect(wrapper.vm.presets.map(preset => preset.name)).toEqual(['Mine', 'Team'])
+
+    wrapper.vm.editingName = 'Mine (old)'
+    await wrapper.vm.$nextTick()
+    await confirm.trigger('click')
+
+    expect(wrapper.emitted('rename-preset')[0][0]).toMatchObject({ id: mine.id, name: 'Mine (old)' })
+    expect(wrapper.vm.editingId).toBeNull()
+  })
+})
@@ -0,0 +1,62 @@
+// pubsub-js is a peer dependency, so mock it instead of requiring an install
+jest.mock('pubsub-js', () => ({
+  publish: jest.fn(),
+  subscribe: jest.fn(() => 'mock-token'),
+  unsubscribe: jest.fn(),
+  clearAllSubscriptions: jest.fn()
+}), { virtual: true })
+
+import PubSub from 'pubsub-js'
+import { EventBus, EVENTS, getChannelTopic } from '../src/utils/eventBus.js'
+
+describe('EventBus channels', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should namespace topics with the channel name', () => {
+    expect(getChannelTopic('orders', EVENTS.FILTER_REMOVED)).toBe('orders/FILTER_REMOVED')
+    expect(getChannelTopic('', EVENTS.FILTER_REMOVED)).toBe('FILTER_REMOVED')
+  })
+
+  it('should publish on the namespaced topic', () => {
+    const channel = EventBus.createChannel('orders')
+    const data = { columnProp: 'status', value: 'active' }
+
+    channel.publish(EVENTS.FILTER_REMOVED, data)
+
+    expect(PubSub.publish).toHaveBeenCalledWith('orders/FILTER_REMOVED', data)
+  })
+
+  it('should subscribe to the namespaced topic', () => {
+    const channel = EventBus.createChannel('orders')
+    const callback = jest.fn()
+
+    const token = channel.subscribe(EVENTS.FILTER_CHANGED, callback)
+    const [topic, handler] = PubSub.subscribe.mock.calls[0]
+    handler(topic, { columnProp: 'status' })
+
+    expect(token).toBe('mock-token')
+    expect(topic).toBe('orders/FILTER_CHANGED')
+    expect(callback).toHaveBeenCalledWith({ columnProp: 'status' })
+  })
+
+  it('should unsubscribe tokens and namespaced topics', () => {
+    const channel = EventBus.createChannel('orders')
+
+    channel.unsubscribe('mock-token')
+    channel.unsubscribeAll(EVENTS.FILTER_CHANGED)
+
+    expect(PubSub.unsubscribe).toHaveBeenCalledWith('mock-token')
+    expect(PubSub.unsubscribe).toHaveBeenCalledWith('orders/FILTER_CHANGED')
+  })
+
+  it('should keep separate channels isolated', () => {
+    EventBus.createChannel('orders').publish(EVENTS.FILTERS_CLEARED)
+    EventBus.createChannel('customers').publish(EVENTS.FILTERS_CLEARED)
+
+    expect(PubSub.publish).toHaveBeenCalledWith('orders/FILTERS_CLEARED', null)
+    expect(PubSub.publish).toHaveBeenCalledWith('customers/FILTERS_CLEARED', null)
+    expect(PubSub.publish).not.toHaveBeenCalledWith('FILTERS_CLEARED', null)
+  })
+})
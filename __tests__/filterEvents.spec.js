@@ -0,0 +1,63 @@
+import { createFilterChange, normalizeFilterChange } from '../src/utils/filterEvents.js'
+
+describe('filterEvents utilities', () => {
+  describe('createFilterChange', () => {
+    it('should build an edit payload', () => {
+      expect(createFilterChange({
+        columnProp: 'status',
+        values: ['pending'],
+        oldValue: 'active',
+        newValue: 'pending',
+        trigger: 'edit'
+      })).toEqual({
+        columnProp: 'status',
+        values: ['pending'],
+        oldValue: 'active',
+        newValue: 'pending',
+        source: 'ActiveFilters',
+        trigger: 'edit'
+      })
+    })
+
+    it('should carry the operator of the new value', () => {
+      expect(createFilterChange({
+        columnProp: 'status',
+        newValue: { operator: 'neq', value: 'archived' },
+        operator: 'neq',
+        trigger: 'exclude'
+      })).toEqual({
+        columnProp: 'status',
+        newValue: { operator: 'neq', value: 'archived' },
+        operator: 'neq',
+        source: 'ActiveFilters',
+        trigger: 'exclude'
+      })
+    })
+
+    it('should omit fields that were not provided', () => {
+      expect(createFilterChange({ columnProp: 'status', source: 'DropdownFilter' })).toEqual({
+        columnProp: 'status',
+        source: 'DropdownFilter'
+      })
+    })
+  })
+
+  describe('normalizeFilterChange', () => {
+    it('should accept the legacy { columnProp, value } shape', () => {
+      expect(normalizeFilterChange({ columnProp: 'status', value: ['active'], source: 'DropdownFilter' }))
+        .toEqual({ columnProp: 'status', values: ['active'], source: 'DropdownFilter' })
+      expect(normalizeFilterChange({ columnProp: 'status', value: 'active' }).values).toEqual(['active'])
+    })
+
+    it('should keep values, oldValue and newValue', () => {
+      const change = { columnProp: 'status', values: ['b'], oldValue: 'a', newValue: 'b', source: 'x' }
+
+      expect(normalizeFilterChange(change)).toEqual(change)
+    })
+
+    it('should reject payloads without a column', () => {
+      expect(normalizeFilterChange(null)).toBeNull()
+      expect(normalizeFilterChange({ value: ['active'] })).toBeNull()
+    })
+  })
+})
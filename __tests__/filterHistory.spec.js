@@ -0,0 +1,66 @@
+import { FilterHistory } from '../src/utils/filterHistory.js'
+
+describe('FilterHistory', () => {
+  it('should undo and redo filter snapshots', () => {
+    const history = new FilterHistory()
+
+    history.record({ category: ['electronics', 'books'] })
+    expect(history.canUndo).toBe(true)
+
+    const undone = history.undo({ category: ['books'] })
+    expect(undone).toEqual({ category: ['electronics', 'books'] })
+    expect(history.canRedo).toBe(true)
+
+    const redone = history.redo(undone)
+    expect(redone).toEqual({ category: ['books'] })
+    expect(history.canUndo).toBe(true)
+  })
+
+  it('should return null when there is nothing to undo or redo', () => {
+    const history = new FilterHistory()
+
+    expect(history.undo({})).toBeNull()
+    expect(history.redo({})).toBeNull()
+  })
+
+  it('should store copies instead of references', () => {
+    const history = new FilterHistory()
+    const filters = { category: ['electronics'], price: { min: 10, max: 50 } }
+
+    history.record(filters)
+    filters.category.push('books')
+    filters.price.max = 100
+
+    expect(history.undo({})).toEqual({ category: ['electronics'], price: { min: 10, max: 50 } })
+  })
+
+  it('should drop the oldest snapshots beyond the limit', () => {
+    const history = new FilterHistory(2)
+
+    history.record({ step: [1] })
+    history.record({ step: [2] })
+    history.record({ step: [3] })
+
+    expect(history.undo({})).toEqual({ step: [3] })
+    expect(history.undo({})).toEqual({ step: [2] })
+    expect(history.undo({})).toBeNull()
+  })
+
+  it('should clear redo when a new change is recorded', () => {
+    const history = new FilterHistory()
+
+    history.record({ step: [1] })
+    history.undo({ step: [2] })
+    history.record({ step: [1] })
+
+    expect(history.canRedo).toBe(false)
+  })
+
+  it('should not record anything when disabled', () => {
+    const history = new FilterHistory(0)
+
+    history.record({ step: [1] })
+
+    expect(history.canUndo).toBe(false)
+  })
+})
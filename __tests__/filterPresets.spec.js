@@ -0,0 +1,89 @@
+import {
+  PresetManager,
+  createMemoryAdapter,
+  PRESET_STORAGE_PREFIX
+} from '../src/utils/filterPresets.js'
+
+describe('PresetManager', () => {
+  let adapter
+  let manager
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    adapter = createMemoryAdapter()
+    manager = new PresetManager('orders', adapter)
+  })
+
+  it('should save and list presets', () => {
+    const preset = manager.save('Open orders', { status: ['open'] })
+
+    expect(preset).toEqual(expect.objectContaining({
+      id: expect.any(String),
+      name: 'Open orders',
+      filters: { status: ['open'] }
+    }))
+    expect(manager.list()).toEqual([preset])
+    expect(manager.get(preset.id)).toEqual(preset)
+  })
+
+  it('should overwrite a preset saved under the same name', () => {
+    const first = manager.save('Mine', { status: ['open'] })
+    const second = manager.save('  Mine ', { status: ['closed'] })
+
+    expect(second.id).toBe(first.id)
+    expect(manager.list()).toHaveLength(1)
+    expect(manager.list()[0].filters).toEqual({ status: ['closed'] })
+  })
+
+  it('should ignore blank names', () => {
+    expect(manager.save('   ', { status: ['open'] })).toBeNull()
+    expect(manager.list()).toEqual([])
+  })
+
+  it('should rename and delete presets', () => {
+    const preset = manager.save('Mine', { status: ['open'] })
+
+    expect(manager.rename(preset.id, 'Team').name).toBe('Team')
+    expect(manager.rename('missing', 'Team')).toBeNull()
+
+    expect(manager.remove(preset.id)).toBe(true)
+    expect(manager.remove(preset.id)).toBe(false)
+    expect(manager.list()).toEqual([])
+  })
+
+  it('should refuse to rename a preset to the name of another', () => {
+    const mine = manager.save('Mine', { status: ['open'] })
+    const team = manager.save('Team', { status: ['closed'] })
+
+    expect(manager.isNameTaken(' Team ')).toBe(true)
+    expect(manager.isNameTaken('Team', team.id)).toBe(false)
+    expect(manager.rename(mine.id, ' Team ')).toBeNull()
+    expect(manager.rename(team.id, 'Team ').name).toBe('Team')
+    expect(manager.list().map(preset => [preset.name, preset.filters])).toEqual([
+      ['Mine', { status: ['open'] }],
+      ['Team', { status: ['closed'] }]
+    ])
+  })
+
+  it('should namespace presets per key', () => {
+    const other = new PresetManager('customers', adapter)
+
+    manager.save('Mine', { status: ['open'] })
+
+    expect(other.list()).toEqual([])
+    expect(adapter.getItem(`${PRESET_STORAGE_PREFIX}orders`)).toEqual(expect.any(String))
+  })
+
+  it('should recover from corrupted storage', () => {
+    adapter.setItem(`${PRESET_STORAGE_PREFIX}orders`, '{not json')
+
+    expect(manager.list()).toEqual([])
+    expect(console.error).toHaveBeenCalled()
+  })
+
+  it('should report storage write failures', () => {
+    adapter.setItem = jest.fn(() => { throw new Error('QuotaExceededError') })
+
+    expect(manager.save('Mine', { status: ['open'] })).toBeNull()
+  })
+})
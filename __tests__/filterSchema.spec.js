@@ -0,0 +1,111 @@
+import { validateFilters, VALIDATION_ERRORS, FilterValidationError } from '../src/utils/filterSchema.js'
+
+describe('filterSchema utilities', () => {
+  const schema = {
+    status: { label: 'Status', type: 'string', values: ['active', 'pending', 'archived'] },
+    price: { label: 'Price', type: 'number', multiple: false },
+    created: { type: 'date' },
+    published: { type: 'boolean' }
+  }
+
+  describe('validateFilters', () => {
+    it('should normalize entry shapes without a schema', () => {
+      const { filters, errors } = validateFilters({
+        status: 'active',
+        count: 3,
+        empty: null,
+        blank: [],
+        mixed: ['a', null, '', { foo: 1 }]
+      })
+
+      expect(filters).toEqual({ status: ['active'], count: [3], mixed: ['a'] })
+      expect(errors).toEqual([
+        expect.objectContaining({ columnProp: 'mixed', value: { foo: 1 }, reason: VALIDATION_ERRORS.INVALID_VALUE })
+      ])
+    })
+
+    it('should keep valid filters as they are', () => {
+      const valid = {
+        status: ['active', { operator: 'neq', value: 'archived' }],
+        price: [{ min: 10, max: 50 }],
+        created: ['2024-03-01']
+      }
+
+      expect(validateFilters(valid, schema)).toEqual({ filters: valid, errors: [], originals: valid })
+    })
+
+    it('should drop unknown columns', () => {
+      const { filters, errors } = validateFilters({ status: ['active'], stauts: ['active'] }, schema)
+
+      expect(filters).toEqual({ status: ['active'] })
+      expect(errors).toHaveLength(1)
+      expect(errors[0]).toMatchObject({ columnProp: 'stauts', reason: VALIDATION_ERRORS.UNKNOWN_COLUMN })
+      expect(errors[0].message).toBe('"stauts" is not a column of the filter schema')
+    })
+
+    it('should coerce values to the column type and drop the ones that do not fit', () => {
+      const { filters, errors } = validateFilters({
+        price: ['42'],
+        created: ['yesterday', new Date('2024-03-01T00:00:00Z')],
+        published: ['true', 'maybe']
+      }, schema)
+
+      expect(filters).toEqual({ price: [42], created: ['2024-03-01'], published: [true] })
+      expect(errors.map(error => [error.columnProp, error.reason])).toEqual([
+        ['created', VALIDATION_ERRORS.INVALID_TYPE],
+        ['published', VALIDATION_ERRORS.INVALID_TYPE]
+      ])
+    })
+
+    it('should keep the given values next to the coerced ones', () => {
+      const date = new Date('2024-03-01T00:00:00Z')
+      const { filters, originals } = validateFilters({
+        amount: ['42', 'x', { min: '1', max: '5' }],
+        created: [date]
+      }, { ...schema, amount: { type: 'number' } })
+
+      expect(filters).toEqual({ amount: [42, { min: 1, max: 5 }], created: ['2024-03-01'] })
+      expect(originals).toEqual({ amount: ['42', { min: '1', max: '5' }], created: [date] })
+    })
+
+    it('should check range bounds and operands', () => {
+      const { filters, errors } = validateFilters({
+        price: [['5', null]],
+        status: [{ operator: 'in', value: ['active', 'deleted'] }]
+      }, schema)
+
+      expect(filters).toEqual({ price: [[5, null]] })
+      expect(errors).toEqual([
+        expect.objectContaining({ columnProp: 'status', reason: VALIDATION_ERRORS.NOT_ALLOWED })
+      ])
+      expect(validateFilters({ price: [{ min: 'cheap' }] }, schema).errors[0].reason).toBe(VALIDATION_ERRORS.INVALID_TYPE)
+    })
+
+    it('should drop values outside the allowed values', () => {
+      const { filters, errors } = validateFilters({ status: ['active', 'deleted'] }, schema)
+
+      expect(filters).toEqual({ status: ['active'] })
+      expect(errors[0].message).toBe('"deleted" is not an allowed value of "status"')
+    })
+
+    it('should keep the first value of single-value columns', () => {
+      const { filters, errors } = validateFilters({ price: [10, 20] }, schema)
+
+      expect(filters).toEqual({ price: [10] })
+      expect(errors[0]).toMatchObject({ columnProp: 'price', values: [10, 20], reason: VALIDATION_ERRORS.TOO_MANY_VALUES })
+    })
+  })
+
+  describe('FilterValidationError', () => {
+    it('should list every error in its message', () => {
+      const { errors } = validateFilters({ stauts: ['active'], price: [1, 2] }, schema)
+      const error = new FilterValidationError(errors)
+
+      expect(error).toBeInstanceOf(Error)
+      expect(error.name).toBe('FilterValidationError')
+      expect(error.errors).toBe(errors)
+      expect(error.message).toContain('"stauts" is not a column of the filter schema')
+      expect(error.message).toContain('"price" takes a single value but got 2')
+    })
+  })
+})
@@ -0,0 +1,164 @@
+// pubsub-js is a peer dependency, so mock it instead of requiring an install
+jest.mock('pubsub-js', () => ({
+  publish: jest.fn(),
+  subscribe: jest.fn((topic) => `token-${topic}`),
+  unsubscribe: jest.fn()
+}), { virtual: true })
+
+import PubSub from 'pubsub-js'
+import { EVENTS } from '../src/utils/eventBus.js'
+import {
+  FilterStore,
+  STORE_EVENTS,
+  APPLY_FILTER_EVENT,
+  applyFilterEvent,
+  applyFilterOperation,
+  createFilterModule,
+  connectFilterModule
+} from '../src/store/filterStore.js'
+
+describe('Filter store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('applyFilterEvent', () => {
+    const filters = { category: ['electronics', 'books'], status: ['active'] }
+
+    it('should replace a column on FILTER_CHANGED', () => {
+      expect(applyFilterEvent(filters, EVENTS.FILTER_CHANGED, { columnProp: 'status', values: ['pending'] }))
+        .toEqual({ category: ['electronics', 'books'], status: ['pending'] })
+    })
+
+    it('should apply single-value edits on FILTER_CHANGED', () => {
+      const change = { columnProp: 'status', oldValue: 'active', newValue: 'pending' }
+
+      expect(applyFilterEvent(filters, EVENTS.FILTER_CHANGED, change).status).toEqual(['pending'])
+    })
+
+    it('should drop a column changed to no values', () => {
+      expect(applyFilterEvent(filters, EVENTS.FILTER_CHANGED, { columnProp: 'status', value: [] }))
+        .toEqual({ category: ['electronics', 'books'] })
+    })
+
+    it('should accept whole filter objects on FILTER_APPLIED', () => {
+      expect(applyFilterEvent(filters, EVENTS.FILTER_APPLIED, { filters: { status: ['closed'] } }))
+        .toEqual({ status: ['closed'] })
+    })
+
+    it('should remove values and columns', () => {
+      expect(applyFilterEvent(filters, EVENTS.FILTER_REMOVED, { columnProp: 'category', value: 'books' }).category)
+        .toEqual(['electronics'])
+      expect(applyFilterEvent(filters, EVENTS.COLUMN_CLEARED, { columnProp: 'category' }))
+        .toEqual({ status: ['active'] })
+      expect(applyFilterEvent(filters, EVENTS.FILTERS_CLEARED, {})).toEqual({})
+    })
+
+    it('should keep locked filters on clear all', () => {
+      const kept = { status: ['active'] }
+      const next = applyFilterEvent(filters, EVENTS.FILTERS_CLEARED, { cleared: { category: ['electronics'] }, kept })
+
+      expect(next).toEqual({ status: ['active'] })
+      expect(next).not.toBe(kept)
+    })
+
+    it('should restore filters from undo and presets', () => {
+      expect(applyFilterEvent({}, EVENTS.FILTERS_RESTORED, { filters })).toEqual(filters)
+      expect(applyFilterEvent({}, EVENTS.PRESET_APPLIED, { filters })).toEqual(filters)
+    })
+
+    it('should apply batched operations in order', () => {
+      const operations = [
+        { type: 'update', columnProp: 'status', oldValue: 'active', newValue: 'pending' },
+        { type: 'remove', columnProp: 'category', value: 'books' },
+        { type: 'clearColumn', columnProp: 'price', values: [{ min: 10, max: 50 }] }
+      ]
+      const batch = { ...filters, price: [{ min: 10, max: 50 }] }
+      const expected = { status: ['pending'], category: ['electronics'] }
+
+      expect(applyFilterEvent(batch, EVENTS.FILTERS_BATCH_CHANGED, { operations })).toEqual(expected)
+      expect(applyFilterEvent(batch, EVENTS.FILTERS_BATCH_CHANGED, { operations, filters: expected })).toEqual(expected)
+      expect(applyFilterOperation(filters, { type: 'unknown', columnProp: 'status' })).toBe(filters)
+    })
+
+    it('should ignore malformed payloads without copying', () => {
+      expect(applyFilterEvent(filters, EVENTS.FILTER_CHANGED, { values: [] })).toBe(filters)
+      expect(applyFilterEvent(filters, EVENTS.FILTER_REMOVED, null)).toBe(filters)
+      expect(applyFilterEvent(filters, 'UNKNOWN', {})).toBe(filters)
+    })
+  })
+
+  describe('FilterStore', () => {
+    it('should subscribe to every store event on creation', () => {
+      const store = new FilterStore()
+
+      expect(PubSub.subscribe).toHaveBeenCalledTimes(STORE_EVENTS.length)
+      expect(store.subscriptionTokens).toHaveLength(STORE_EVENTS.length)
+    })
+
+    it('should subscribe on its channel', () => {
+      new FilterStore({ channel: 'orders' })
+
+      expect(PubSub.subscribe).toHaveBeenCalledWith('orders/FILTER_REMOVED', expect.any(Function))
+    })
+
+    it('should apply events received from the bus', () => {
+      const store = new FilterStore({ filters: { status: ['active'] } })
+      const [, handler] = PubSub.subscribe.mock.calls.find(([topic]) => topic === EVENTS.FILTER_REMOVED)
+
+      handler(EVENTS.FILTER_REMOVED, { columnProp: 'status', value: 'active' })
+
+      expect(store.filters).toEqual({})
+    })
+
+    it('should expose read-only state', () => {
+      const store = new FilterStore({ filters: { status: ['active'] }, autoConnect: false })
+
+      store.state.filters.status.push('pending')
+      store.state.filters = {}
+
+      expect(store.filters.status).toEqual(['active'])
+      expect(console.warn).toHaveBeenCalled()
+    })
+
+    it('should unsubscribe on disconnect', () => {
+      const store = new FilterStore()
+
+      store.disconnect()
+
+      expect(PubSub.unsubscribe).toHaveBeenCalledTimes(STORE_EVENTS.length)
+      expect(store.subscriptionTokens).toEqual([])
+    })
+  })
+
+  describe('Vuex module adapter', () => {
+    it('should apply events through the module mutation', () => {
+      const module = createFilterModule({ filters: { status: ['active'] } })
+      const state = module.state()
+
+      module.mutations[APPLY_FILTER_EVENT](state, {
+        event: EVENTS.FILTER_REMOVED,
+        data: { columnProp: 'status', value: 'active' }
+      })
+
+      expect(state.filters).toEqual({})
+    })
+
+    it('should commit bus events to the namespaced module', () => {
+      const vuexStore = {
+        state: { filters: { filters: { status: ['active'] } } },
+        commit: jest.fn()
+      }
+      const adapter = connectFilterModule(vuexStore, 'filters')
+      const [, handler] = PubSub.subscribe.mock.calls.find(([topic]) => topic === EVENTS.FILTERS_CLEARED)
+
+      handler(EVENTS.FILTERS_CLEARED, { source: 'ActiveFilters' })
+
+      expect(vuexStore.commit).toHaveBeenCalledWith(`filters/${APPLY_FILTER_EVENT}`, {
+        event: EVENTS.FILTERS_CLEARED,
+        data: { source: 'ActiveFilters' }
+      })
+      expect(adapter.filters).toEqual({ status: ['active'] })
+    })
+  })
+})
@@ -0,0 +1,200 @@
+import {
+  findOption,
+  formatFilterValue,
+  isRangeValue,
+  formatRange,
+  getColumnValues,
+  getValueKey,
+  replaceValue,
+  removeValue,
+  isOperatorValue,
+  getOperator,
+  getOperands,
+  createOperatorValue,
+  isExcludeValue,
+  toggleExclude,
+  isLockedValue,
+  splitLockedFilters
+} from '../src/utils/filterValues.js'
+
+describe('filterValues utilities', () => {
+  describe('findOption', () => {
+    const options = [
+      { value: 1, label: 'Active' },
+      { value: 3, label: 'Archived' }
+    ]
+
+    it('should find options by value', () => {
+      expect(findOption(options, 3)).toEqual({ value: 3, label: 'Archived' })
+    })
+
+    it('should match string values against numeric option values', () => {
+      expect(findOption(options, '1')).toEqual({ value: 1, label: 'Active' })
+    })
+
+    it('should return undefined for missing options', () => {
+      expect(findOption(options, 2)).toBeUndefined()
+      expect(findOption(undefined, 2)).toBeUndefined()
+    })
+  })
+
+  describe('formatFilterValue', () => {
+    it('should fall back to the raw value', () => {
+      expect(formatFilterValue('electronics')).toBe('electronics')
+      expect(formatFilterValue(0)).toBe('0')
+    })
+
+    it('should use the options lookup', () => {
+      const options = [{ value: 3, label: 'Archived' }]
+
+      expect(formatFilterValue(3, { options })).toBe('Archived')
+      expect(formatFilterValue(4, { options })).toBe('4')
+    })
+
+    it('should prefer the formatter over the options lookup', () => {
+      const formatter = jest.fn(value => `#${value}`)
+      const options = [{ value: 3, label: 'Archived' }]
+
+      expect(formatFilterValue(3, { columnProp: 'status', formatter, options })).toBe('#3')
+      expect(formatter).toHaveBeenCalledWith(3, 'status')
+    })
+
+    it('should fall through when the formatter returns nothing', () => {
+      const formatter = () => undefined
+      const options = [{ value: 3, label: 'Archived' }]
+
+      expect(formatFilterValue(3, { formatter, options })).toBe('Archived')
+    })
+  })
+
+  describe('Range values', () => {
+    it('should detect range objects and tuples', () => {
+      expect(isRangeValue({ min: 10, max: 50 })).toBe(true)
+      expect(isRangeValue({ max: 50 })).toBe(true)
+      expect(isRangeValue(['2026-01-01', '2026-03-31'])).toBe(true)
+      expect(isRangeValue('electronics')).toBe(false)
+      expect(isRangeValue({ label: 'x' })).toBe(false)
+      expect(isRangeValue(new Date())).toBe(false)
+    })
+
+    it('should format numeric and date ranges', () => {
+      expect(formatRange({ min: 10, max: 50 })).toBe('10 – 50')
+      expect(formatRange(['2026-01-01', '2026-03-31'])).toBe('2026-01-01 → 2026-03-31')
+      expect(formatRange([new Date('2026-01-01T00:00:00Z'), null])).toBe('2026-01-01 →')
+    })
+
+    it('should format open-ended ranges', () => {
+      expect(formatRange({ min: 10 })).toBe('≥ 10')
+      expect(formatRange({ max: 50 })).toBe('≤ 50')
+      expect(formatRange([null, '2026-03-31'])).toBe('→ 2026-03-31')
+    })
+
+    it('should format ranges through formatFilterValue', () => {
+      expect(formatFilterValue({ min: 10, max: 50 })).toBe('10 – 50')
+      expect(formatFilterValue({ min: 10, max: 50 }, { formatter: v => `$${v.min}+` })).toBe('$10+')
+    })
+
+    it('should treat a bare range entry as a single value', () => {
+      expect(getColumnValues({ min: 10, max: 50 })).toEqual([{ min: 10, max: 50 }])
+      expect(getColumnValues([['2026-01-01', '2026-03-31']])).toHaveLength(1)
+      expect(getColumnValues(['a', 'b'])).toEqual(['a', 'b'])
+      expect(getColumnValues(null)).toEqual([])
+    })
+
+    it('should build stable keys for ranges', () => {
+      expect(getValueKey({ min: 10, max: 50 })).toBe('10..50')
+      expect(getValueKey([null, '2026-03-31'])).toBe('..2026-03-31')
+      expect(getValueKey('books')).toBe('books')
+    })
+  })
+
+  describe('replaceValue', () => {
+    it('should replace a value in place', () => {
+      expect(replaceValue(['active', 'archived'], 'active', 'pending')).toEqual(['pending', 'archived'])
+    })
+
+    it('should drop duplicates introduced by the edit', () => {
+      expect(replaceValue(['active', 'archived'], 'active', 'archived')).toEqual(['archived'])
+    })
+
+    it('should compare values by key', () => {
+      expect(replaceValue([3, 4], '3', 5)).toEqual([5, 4])
+    })
+  })
+
+  describe('removeValue', () => {
+    it('should remove values by key', () => {
+      expect(removeValue(['active', 'archived'], 'active')).toEqual(['archived'])
+      expect(removeValue([{ min: 1, max: 5 }, 'x'], { min: 1, max: 5 })).toEqual(['x'])
+    })
+  })
+
+  describe('Operator values', () => {
+    const excluded = { operator: 'neq', value: 'archived' }
+
+    it('should recognize operator values', () => {
+      expect(isOperatorValue(excluded)).toBe(true)
+      expect(isOperatorValue({ operator: 'like', value: 'x' })).toBe(false)
+      expect(isOperatorValue({ min: 1 })).toBe(false)
+      expect(getOperator('active')).toBe('eq')
+      expect(getOperator(excluded)).toBe('neq')
+    })
+
+    it('should list operands', () => {
+      expect(getOperands('active')).toEqual(['active'])
+      expect(getOperands({ operator: 'in', value: ['a', 'b'] })).toEqual(['a', 'b'])
+      expect(getOperands({ min: 1, max: 2 })).toEqual([])
+    })
+
+    it('should key operator values by operator and operands', () => {
+      expect(getValueKey(excluded)).toBe('neq:archived')
+      expect(getValueKey({ operator: 'notIn', value: ['a', 'b'] })).toBe('notIn:a,b')
+      expect(getValueKey({ operator: 'eq', value: 'active' })).toBe(getValueKey('active'))
+    })
+
+    it('should format only the operands', () => {
+      expect(formatFilterValue({ operator: 'in', value: [1, 3] }, {
+        options: [{ value: 1, label: 'Active' }, { value: 3, label: 'Archived' }]
+      })).toBe('Active, Archived')
+    })
+
+    it('should store eq as the plain value', () => {
+      expect(createOperatorValue('eq', 'active')).toBe('active')
+      expect(createOperatorValue('gt', 5)).toEqual({ operator: 'gt', value: 5 })
+    })
+
+    it('should toggle between include and exclude', () => {
+      expect(toggleExclude('archived')).toEqual(excluded)
+      expect(toggleExclude(excluded)).toBe('archived')
+      expect(toggleExclude({ operator: 'in', value: ['a'] })).toEqual({ operator: 'notIn', value: ['a'] })
+      expect(isExcludeValue({ operator: 'notIn', value: ['a'] })).toBe(true)
+      expect(isExcludeValue('a')).toBe(false)
+    })
+
+    it('should not toggle operators without a counterpart or ranges', () => {
+      expect(toggleExclude({ operator: 'contains', value: 'x' })).toBeNull()
+      expect(toggleExclude({ min: 1, max: 2 })).toBeNull()
+    })
+  })
+
+  describe('Locked values', () => {
+    it('should lock whole columns or single values', () => {
+      expect(isLockedValue(['tenant'], 'tenant', 'acme')).toBe(true)
+      expect(isLockedValue({ tenant: true }, 'tenant', 'acme')).toBe(true)
+      expect(isLockedValue({ year: [2024] }, 'year', '2024')).toBe(true)
+      expect(isLockedValue({ year: [2024] }, 'year', 2023)).toBe(false)
+      expect(isLockedValue({ tenant: false }, 'tenant', 'acme')).toBe(false)
+      expect(isLockedValue(null, 'tenant', 'acme')).toBe(false)
+    })
+
+    it('should split filters into cleared and kept values', () => {
+      expect(splitLockedFilters(
+        { tenant: ['acme'], year: [2023, 2024], status: ['active'] },
+        { tenant: true, year: [2024] }
+      )).toEqual({
+        cleared: { year: [2023], status: ['active'] },
+        kept: { tenant: ['acme'], year: [2024] }
+      })
+    })
+  })
+})
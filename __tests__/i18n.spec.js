@@ -0,0 +1,178 @@
+import {
+  I18n,
+  LOCALES,
+  formatMessage,
+  getPluralCategory,
+  getFallbackChain,
+  getLocaleDirection,
+  normalizeLocale
+} from '../src/utils/i18n.js'
+
+describe('i18n', () => {
+  describe('formatMessage', () => {
+    it('should replace simple params and keep unknown ones', () => {
+      expect(formatMessage('{filter} removed', { filter: 'Status: active' })).toBe('Status: active removed')
+      expect(formatMessage('{filter} removed', {})).toBe('{filter} removed')
+    })
+
+    it('should not parse param values as messages', () => {
+      expect(formatMessage('{filter}', { filter: '{count} #1' })).toBe('{count} #1')
+    })
+
+    it('should pick plural branches with Intl.PluralRules', () => {
+      const message = '{count, plural, one {# filter} other {# filters}}'
+
+      expect(formatMessage(message, { count: 1 })).toBe('1 filter')
+      expect(formatMessage(message, { count: 3 })).toBe('3 filters')
+      expect(formatMessage(message, { count: 1200 })).toBe('1,200 filters')
+    })
+
+    it('should prefer exact matches over plural categories', () => {
+      const message = '{count, plural, =0 {None} one {One} other {#}}'
+
+      expect(formatMessage(message, { count: 0 })).toBe('None')
+      expect(formatMessage(message, { count: 1 })).toBe('One')
+    })
+
+    it('should use the plural rules of the locale', () => {
+      const message = '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}'
+
+      expect(formatMessage(message, { count: 2 }, 'pl')).toBe('2 pliki')
+      expect(formatMessage(message, { count: 5 }, 'pl')).toBe('5 plików')
+      expect(getPluralCategory(1, 'ja')).toBe('other')
+    })
+
+    it('should pick select branches and fall back to other', () => {
+      const message = '{action, select, undo {Undone} other {Redone}}'
+
+      expect(formatMessage(message, { action: 'undo' })).toBe('Undone')
+      expect(formatMessage(message, { action: 'redo' })).toBe('Redone')
+    })
+
+    it('should support nested arguments', () => {
+      const message = '{column} {count, plural, one {has # value: {value}} other {has # values}}'
+
+      expect(formatMessage(message, { column: 'Status', count: 1, value: 'active' })).toBe('Status has 1 value: active')
+      expect(formatMessage(message, { column: 'Status', count: 2 })).toBe('Status has 2 values')
+    })
+
+    it('should leave malformed messages as written', () => {
+      expect(formatMessage('{count, plural, one {# filter', { count: 1 })).toBe('{count, plural, one {# filter')
+      expect(formatMessage('{count, number}', { count: 1 })).toBe('{count, number}')
+    })
+
+    it('should fall back to English rules for invalid locales', () => {
+      expect(getPluralCategory(1, 'not a locale')).toBe('one')
+    })
+  })
+
+  describe('I18n', () => {
+    it('should pluralize the bundled filter count', () => {
+      const i18n = new I18n('en')
+
+      expect(i18n.t('filterCount', { count: 0 })).toBe('No filters applied')
+      expect(i18n.t('filterCount', { count: 1 })).toBe('1 filter applied')
+      expect(i18n.t('filterCount', { count: 3 })).toBe('3 filters applied')
+    })
+
+    it('should count suspended filters separately', () => {
+      const i18n = new I18n('en')
+
+      expect(i18n.t('filterCountSuspended', { count: 1, suspended: 2 })).toBe('1 filter applied, 2 suspended')
+      expect(i18n.t('filterCountSuspended', { count: 0, suspended: 1 })).toBe('No filters applied, 1 suspended')
+      expect(i18n.t('moreFiltersSuspended', { count: 2, suspended: 1 })).toBe('+2 more, 1 suspended')
+    })
+
+    it('should format facet counts with the locale', () => {
+      expect(new I18n('en').t('facetCount', { count: 1204 })).toBe('(1,204)')
+      expect(new I18n('ja').t('facetCount', { count: 3 })).toBe('（3 件）')
+    })
+
+    it('should format every bundled locale', () => {
+      Object.keys(LOCALES).forEach(locale => {
+        const i18n = new I18n(locale)
+
+        expect(i18n.t('filterCount', { count: 2 })).toContain('2')
+        expect(i18n.t('moreFilters', { count: 2 })).toContain('2')
+        expect(i18n.t('moreValues', { count: 2 })).toContain('2')
+      })
+    })
+
+    it('should keep plain custom messages working', () => {
+      const i18n = new I18n('es', { filterCount: '{count} filtros encontrados' })
+
+      expect(i18n.t('filterCount', { count: 1 })).toBe('1 filtros encontrados')
+    })
+
+    it('should use plural rules of custom locales', () => {
+      const i18n = new I18n('es', { filterCount: '{count, plural, one {# filtro} other {# filtros}}' })
+
+      expect(i18n.t('filterCount', { count: 1 })).toBe('1 filtro')
+      expect(i18n.t('filterCount', { count: 4 })).toBe('4 filtros')
+    })
+
+    it('should return the key for unknown messages', () => {
+      expect(new I18n().t('unknownKey')).toBe('unknownKey')
+    })
+  })
+
+  describe('Locale fallbacks', () => {
+    it('should normalize locale tags', () => {
+      expect(normalizeLocale('zh_hk')).toBe('zh-HK')
+      expect(normalizeLocale('not a locale')).toBe('not a locale')
+    })
+
+    it('should build region-aware fallback chains', () => {
+      expect(getFallbackChain('zh-HK')).toEqual(['zh-HK', 'zh-TW', 'en'])
+      expect(getFallbackChain('zh-SG')).toEqual(['zh-SG', 'zh-CN', 'en'])
+      expect(getFallbackChain('de-AT')).toEqual(['de-AT', 'de', 'en'])
+      expect(getFallbackChain('en')).toEqual(['en'])
+    })
+
+    it('should resolve messages through the chain', () => {
+      expect(new I18n('zh-HK').t('clearAll')).toBe(LOCALES['zh-TW'].clearAll)
+      expect(new I18n('de').t('clearAll')).toBe('Clear All')
+    })
+
+    it('should detect right-to-left languages', () => {
+      expect(getLocaleDirection('ar-EG')).toBe('rtl')
+      expect(getLocaleDirection('he')).toBe('rtl')
+      expect(getLocaleDirection('zh-TW')).toBe('ltr')
+      expect(new I18n('fa').dir).toBe('rtl')
+    })
+  })
+
+  describe('registerLocale', () => {
+    it('should register new locales', () => {
+      expect(I18n.registerLocale('de', { clearAll: 'Alle löschen' })).toBe('de')
+
+      const i18n = new I18n('de-CH')
+      expect(i18n.t('clearAll')).toBe('Alle löschen')
+      expect(i18n.t('undo')).toBe('Undo')
+    })
+
+    it('should extend existing locales', () => {
+      I18n.registerLocale('ja', { showAll: 'すべて' })
+
+      expect(new I18n('ja').t('showAll')).toBe('すべて')
+      expect(new I18n('ja').t('clearAll')).toBe('すべてクリア')
+    })
+
+    it('should register fallbacks and directions', () => {
+      I18n.registerLocale('pt-BR', { clearAll: 'Limpar tudo' })
+      I18n.registerLocale('pt-AO', {}, { fallback: 'pt-BR' })
+      I18n.registerLocale('x-mirror', {}, { dir: 'rtl' })
+
+      expect(new I18n('pt-AO').t('clearAll')).toBe('Limpar tudo')
+      expect(getLocaleDirection('x-mirror')).toBe('rtl')
+    })
+
+    it('should apply to instances on setLocale', () => {
+      const i18n = new I18n('en')
+      I18n.registerLocale('nl', { clearAll: 'Alles wissen' })
+
+      i18n.setLocale('nl')
+      expect(i18n.t('clearAll')).toBe('Alles wissen')
+    })
+  })
+})
@@ -0,0 +1,39 @@
+// pubsub-js is a peer dependency, so mock it instead of requiring an install
+jest.mock('pubsub-js', () => ({
+  publish: jest.fn(),
+  subscribe: jest.fn((topic) => `token-${topic}`),
+  unsubscribe: jest.fn()
+}), { virtual: true })
+
+import ActiveFilters, {
+  FilterPresets,
+  DropdownFilter,
+  FilterStore,
+  createFilterStore,
+  createFilterModule,
+  connectFilterModule,
+  I18n
+} from '../index.js'
+
+describe('Package entry point', () => {
+  it('should export the components and helpers', () => {
+    expect(ActiveFilters.name).toBe('ActiveFilters')
+    expect(FilterPresets.name).toBe('FilterPresets')
+    expect(DropdownFilter.name).toBe('DropdownFilter')
+    expect(typeof FilterStore).toBe('function')
+    expect(typeof createFilterStore).toBe('function')
+    expect(typeof createFilterModule).toBe('function')
+    expect(typeof connectFilterModule).toBe('function')
+    expect(new I18n('en').t('clearAll')).toBe('Clear All')
+  })
+
+  it('should register every component on install', () => {
+    const Vue = { component: jest.fn() }
+
+    ActiveFilters.install(Vue)
+
+    expect(Vue.component).toHaveBeenCalledWith('ActiveFilters', ActiveFilters)
+    expect(Vue.component).toHaveBeenCalledWith('FilterPresets', FilterPresets)
+    expect(Vue.component).toHaveBeenCalledWith('DropdownFilter', DropdownFilter)
+  })
+})
@@ -0,0 +1,78 @@
+import { LabelCache, LABEL_STATUS, normalizeResolvedLabels } from '../src/utils/labelCache.js'
+
+describe('LabelCache', () => {
+  describe('normalizeResolvedLabels', () => {
+    it('should accept labels in the order of the values', () => {
+      expect(normalizeResolvedLabels([1, 2], ['Alice', 'Bob'])).toEqual({ 1: 'Alice', 2: 'Bob' })
+    })
+
+    it('should accept objects and Maps keyed by value', () => {
+      expect(normalizeResolvedLabels([1, 2], { 1: 'Alice' })).toEqual({ 1: 'Alice' })
+      expect(normalizeResolvedLabels([1, 2], new Map([[2, 'Bob']]))).toEqual({ 2: 'Bob' })
+    })
+
+    it('should skip empty labels', () => {
+      expect(normalizeResolvedLabels([1, 2], [null, ''])).toEqual({})
+      expect(normalizeResolvedLabels([1], undefined)).toEqual({})
+    })
+  })
+
+  it('should mark values pending while a lookup is in flight', async () => {
+    const cache = new LabelCache()
+    let resolveLookup
+    const resolver = jest.fn(() => new Promise(resolve => { resolveLookup = resolve }))
+
+    const lookup = cache.resolve('owner', [1, 2], resolver)
+    expect(cache.isPending('owner', 1)).toBe(true)
+    expect(cache.missing('owner', [1, 2, 3])).toEqual([3])
+
+    await Promise.resolve()
+    resolveLookup(['Alice', 'Bob'])
+    const result = await lookup
+
+    expect(resolver).toHaveBeenCalledWith('owner', [1, 2])
+    expect(result).toEqual({ columnProp: 'owner', values: [1, 2], labels: { 1: 'Alice', 2: 'Bob' } })
+    expect(cache.getLabel('owner', 2)).toBe('Bob')
+    expect(cache.isPending('owner', 2)).toBe(false)
+  })
+
+  it('should mark values failed when the resolver rejects', async () => {
+    const cache = new LabelCache()
+    const error = new Error('Network error')
+
+    const result = await cache.resolve('owner', [1], () => Promise.reject(error))
+
+    expect(result.error).toBe(error)
+    expect(cache.get('owner', 1).status).toBe(LABEL_STATUS.FAILED)
+    expect(cache.getLabel('owner', 1)).toBeUndefined()
+    expect(cache.missing('owner', [1])).toEqual([])
+  })
+
+  it('should mark values without a label failed', async () => {
+    const cache = new LabelCache()
+
+    await cache.resolve('owner', [1, 2], () => ({ 1: 'Alice' }))
+
+    expect(cache.getLabel('owner', 1)).toBe('Alice')
+    expect(cache.get('owner', 2).status).toBe(LABEL_STATUS.FAILED)
+  })
+
+  it('should drop lookups that finish after clear', async () => {
+    const cache = new LabelCache()
+
+    const lookup = cache.resolve('owner', [1], () => ['Alice'])
+    cache.clear()
+
+    expect(await lookup).toBeNull()
+    expect(cache.get('owner', 1)).toBeUndefined()
+  })
+
+  it('should keep columns apart', async () => {
+    const cache = new LabelCache()
+
+    await cache.resolve('owner', [1], () => ['Alice'])
+
+    expect(cache.getLabel('reviewer', 1)).toBeUndefined()
+    expect(cache.missing('reviewer', [1])).toEqual([1])
+  })
+})
@@ -0,0 +1,39 @@
+import { announce, getLiveRegion, LIVE_REGION_ID } from '../src/utils/liveAnnouncer.js'
+
+describe('liveAnnouncer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    document.body.innerHTML = ''
+  })
+
+  it('should create one polite live region', () => {
+    const region = getLiveRegion()
+
+    expect(region.id).toBe(LIVE_REGION_ID)
+    expect(region.getAttribute('aria-live')).toBe('polite')
+    expect(region.getAttribute('role')).toBe('status')
+    expect(getLiveRegion()).toBe(region)
+    expect(document.querySelectorAll(`#${LIVE_REGION_ID}`)).toHaveLength(1)
+  })
+
+  it('should announce messages after clearing the region', () => {
+    announce('Status: active removed, 3 filters applied')
+    const region = getLiveRegion()
+
+    expect(region.textContent).toBe('')
+    jest.advanceTimersByTime(50)
+    expect(region.textContent).toBe('Status: active removed, 3 filters applied')
+  })
+
+  it('should only announce the latest of quick messages', () => {
+    announce('First')
+    announce('Second')
+    jest.advanceTimersByTime(50)
+
+    expect(getLiveRegion().textContent).toBe('Second')
+  })
+})
@@ -0,0 +1,344 @@
+import {
+  coerceValue,
+  isSafeFieldName,
+  isIsoDate,
+  collectConditions,
+  toRestParams,
+  parseRestParams,
+  toElasticsearchQuery,
+  toSqlWhere,
+  quoteSqlIdentifier,
+  toODataFilter,
+  toMongoQuery
+} from '../src/utils/queryBuilders.js'
+
+describe('queryBuilders utilities', () => {
+  const filters = {
+    status: ['active', 'pending'],
+    category: ['books'],
+    price: { min: 10, max: 50 }
+  }
+
+  describe('coerceValue', () => {
+    it('should coerce values to their column type', () => {
+      expect(coerceValue('42', 'number')).toBe(42)
+      expect(coerceValue('abc', 'number')).toBe('abc')
+      expect(coerceValue('true', 'boolean')).toBe(true)
+      expect(coerceValue('0', 'boolean')).toBe(false)
+      expect(coerceValue(new Date('2024-03-01T00:00:00Z'), 'date')).toBe('2024-03-01')
+      expect(coerceValue(7, 'string')).toBe('7')
+      expect(coerceValue('42')).toBe('42')
+    })
+  })
+
+  describe('collectConditions', () => {
+    it('should split values and ranges and skip empty columns', () => {
+      const conditions = collectConditions(
+        { status: ['active', ''], price: [[null, 100]], empty: [], blank: { min: '', max: null } },
+        { fields: { status: 'state' } }
+      )
+
+      expect(conditions).toEqual([
+        { columnProp: 'status', field: 'state', type: undefined, values: ['active'], ranges: [], comparisons: [], excludes: [] },
+        { columnProp: 'price', field: 'price', type: undefined, values: [], ranges: [{ min: null, max: 100 }], comparisons: [], excludes: [] }
+      ])
+    })
+
+    it('should sort operator values by how they combine', () => {
+      const [condition] = collectConditions({
+        price: [
+          { operator: 'in', value: ['1', '2'] },
+          { operator: 'gte', value: '10' },
+          { operator: 'gt', value: '20' },
+          { operator: 'neq', value: '3' },
+          { operator: 'notIn', value: ['4', '5'] }
+        ]
+      }, { types: { price: 'number' } })
+
+      expect(condition.values).toEqual([1, 2])
+      expect(condition.ranges).toEqual([{ min: 10, max: null }])
+      expect(condition.comparisons).toEqual([{ operator: 'gt', value: 20 }])
+      expect(condition.excludes).toEqual([3, 4, 5])
+    })
+  })
+
+  describe('Hostile column names', () => {
+    const hostile = {
+      $where: ['sleep(5000)'],
+      'x eq 1 or true': ['1'],
+      'name") OR 1=1 --': ['a'],
+      status: ['active']
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      console.warn.mockRestore()
+    })
+
+    it('should only accept plain identifiers', () => {
+      expect(isSafeFieldName('status')).toBe(true)
+      expect(isSafeFieldName('order.total_2')).toBe(true)
+      expect(isSafeFieldName('$where')).toBe(false)
+      expect(isSafeFieldName('a.$ne')).toBe(false)
+      expect(isSafeFieldName('1st')).toBe(false)
+      expect(isSafeFieldName('x eq 1 or true')).toBe(false)
+      expect(isSafeFieldName('')).toBe(false)
+    })
+
+    it('should skip unsafe columns in every builder', () => {
+      expect(collectConditions(hostile).map(condition => condition.field)).toEqual(['status'])
+      expect(console.warn).toHaveBeenCalledTimes(3)
+
+      expect(toMongoQuery(hostile)).toEqual({ status: 'active' })
+      expect(toODataFilter(hostile)).toBe("status eq 'active'")
+      expect(toSqlWhere(hostile)).toEqual({ clause: 'WHERE "status" = ?', params: ['active'] })
+      expect(toElasticsearchQuery(hostile)).toEqual({ bool: { filter: [{ term: { status: 'active' } }] } })
+      expect(toRestParams(hostile)).toEqual({ status: 'active' })
+    })
+
+    it('should use the field of a column mapped in fields', () => {
+      expect(toMongoQuery({ 'order total': [5] }, { fields: { 'order total': 'orderTotal' } })).toEqual({ orderTotal: 5 })
+    })
+  })
+
+  describe('toRestParams / parseRestParams', () => {
+    it('should write flat params', () => {
+      expect(toRestParams(filters)).toEqual({
+        status: ['active', 'pending'],
+        category: 'books',
+        'price[gte]': '10',
+        'price[lte]': '50'
+      })
+    })
+
+    it('should round-trip with type hints and field names', () => {
+      const options = { types: { price: 'number' }, fields: { category: 'cat' }, prefix: 'f.' }
+      const params = toRestParams(filters, options)
+
+      expect(params['f.cat']).toBe('books')
+      expect(parseRestParams({ ...params, page: '2' }, { ...options, columns: ['status', 'category', 'price'] })).toEqual({
+        status: ['active', 'pending'],
+        category: ['books'],
+        price: [{ min: 10, max: 50 }]
+      })
+    })
+
+    it('should keep values as strings without type hints', () => {
+      expect(parseRestParams({ 'price[gte]': '5', active: 'true' })).toEqual({
+        active: ['true'],
+        price: [{ min: '5', max: null }]
+      })
+    })
+
+    it('should write operators as bracketed params and read them back', () => {
+      const operatorFilters = {
+        status: [{ operator: 'neq', value: 'archived' }],
+        name: [{ operator: 'contains', value: 'pro' }],
+        price: [{ operator: 'gt', value: 100 }]
+      }
+      const params = toRestParams(operatorFilters)
+
+      expect(params).toEqual({ 'status[neq]': 'archived', 'name[contains]': 'pro', 'price[gt]': '100' })
+      expect(parseRestParams(params, { types: { price: 'number' } })).toEqual({
+        status: [{ operator: 'neq', value: 'archived' }],
+        name: [{ operator: 'contains', value: 'pro' }],
+        price: [{ operator: 'gt', value: 100 }]
+      })
+      expect(parseRestParams({ 'status[notIn]': ['a', 'b'] })).toEqual({
+        status: [{ operator: 'notIn', value: ['a', 'b'] }]
+      })
+    })
+
+    it('should warn when a column has more than one range', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(toRestParams({ price: [[1, 2], [5, 6]] })).toEqual({ 'price[gte]': '1', 'price[lte]': '2' })
+      expect(warn).toHaveBeenCalled()
+
+      warn.mockRestore()
+    })
+  })
+
+  describe('toElasticsearchQuery', () => {
+    it('should build a bool filter query', () => {
+      expect(toElasticsearchQuery(filters)).toEqual({
+        bool: {
+          filter: [
+            { terms: { status: ['active', 'pending'] } },
+            { term: { category: 'books' } },
+            { range: { price: { gte: 10, lte: 50 } } }
+          ]
+        }
+      })
+    })
+
+    it('should OR values and ranges of one column', () => {
+      expect(toElasticsearchQuery({ price: [0, { min: 100 }] }, { types: { price: 'number' } })).toEqual({
+        bool: {
+          filter: [{
+            bool: {
+              should: [{ term: { price: 0 } }, { range: { price: { gte: 100 } } }],
+              minimum_should_match: 1
+            }
+          }]
+        }
+      })
+    })
+  })
+
+  describe('Operators', () => {
+    const operatorFilters = {
+      status: ['active', { operator: 'neq', value: 'archived' }],
+      name: [{ operator: 'startsWith', value: '50%_off' }],
+      tag: [{ operator: 'notIn', value: ['a', 'b'] }]
+    }
+
+    it('should exclude values in Elasticsearch with must_not', () => {
+      expect(toElasticsearchQuery(operatorFilters).bool.filter).toEqual([
+        { bool: { filter: [{ term: { status: 'active' } }], must_not: [{ term: { status: 'archived' } }] } },
+        { prefix: { name: '50%_off' } },
+        { bool: { must_not: [{ terms: { tag: ['a', 'b'] } }] } }
+      ])
+      expect(toElasticsearchQuery({ name: [{ operator: 'contains', value: 'a*b' }] }).bool.filter).toEqual([
+        { wildcard: { name: { value: '*a\\*b*' } } }
+      ])
+    })
+
+    it('should escape LIKE patterns in SQL', () => {
+      expect(toSqlWhere(operatorFilters)).toEqual({
+        clause: 'WHERE "status" = ? AND "status" <> ? AND "name" LIKE ? ESCAPE \'!\' AND "tag" NOT IN (?, ?)',
+        params: ['active', 'archived', '50!%!_off%', 'a', 'b']
+      })
+    })
+
+    it('should use OData functions and ne', () => {
+      expect(toODataFilter(operatorFilters)).toBe(
+        "status eq 'active' and status ne 'archived' and startswith(name, '50%_off') and tag ne 'a' and tag ne 'b'"
+      )
+      expect(toODataFilter({ price: [{ operator: 'lt', value: 5 }] })).toBe('price lt 5')
+    })
+
+    it('should use $ne, $nin and anchored regular expressions in MongoDB', () => {
+      expect(toMongoQuery(operatorFilters)).toEqual({
+        $and: [
+          { status: 'active' },
+          { status: { $ne: 'archived' } },
+          { name: { $regex: '^50%_off' } },
+          { tag: { $nin: ['a', 'b'] } }
+        ]
+      })
+      expect(toMongoQuery({ name: [{ operator: 'contains', value: 'a.b' }], price: [{ operator: 'gt', value: 5 }] })).toEqual({
+        name: { $regex: 'a\\.b' },
+        price: { $gt: 5 }
+      })
+    })
+  })
+
+  describe('toSqlWhere', () => {
+    it('should bind every value as a parameter', () => {
+      expect(toSqlWhere(filters)).toEqual({
+        clause: 'WHERE "status" IN (?, ?) AND "category" = ? AND ("price" >= ? AND "price" <= ?)',
+        params: ['active', 'pending', 'books', 10, 50]
+      })
+    })
+
+    it('should never interpolate values', () => {
+      const { clause, params } = toSqlWhere({ name: ["x'; DROP TABLE users; --"] }, { placeholder: '$' })
+
+      expect(clause).toBe('WHERE "name" = $1')
+      expect(params).toEqual(["x'; DROP TABLE users; --"])
+    })
+
+    it('should quote identifiers and support custom placeholders', () => {
+      expect(quoteSqlIdentifier('orders.my"col')).toBe('"orders"."my""col"')
+
+      const { clause } = toSqlWhere({ price: [1, { max: 5 }] }, {
+        placeholder: index => `:p${index}`,
+        quoteIdentifier: name => `\`${name}\``
+      })
+      expect(clause).toBe('WHERE (`price` = :p1 OR `price` <= :p2)')
+    })
+
+    it('should return an empty clause without filters', () => {
+      expect(toSqlWhere({})).toEqual({ clause: '', params: [] })
+    })
+  })
+
+  describe('toODataFilter', () => {
+    it('should build a $filter expression', () => {
+      expect(toODataFilter(filters)).toBe(
+        "(status eq 'active' or status eq 'pending') and category eq 'books' and (price ge 10 and price le 50)"
+      )
+    })
+
+    it('should escape quotes and leave dates unquoted', () => {
+      expect(toODataFilter({ name: ["O'Brien"] })).toBe("name eq 'O''Brien'")
+      expect(toODataFilter({ created: { min: '2024-01-01' } }, { types: { created: 'date' } })).toBe('created ge 2024-01-01')
+    })
+
+    describe('Hostile dates', () => {
+      const types = { created: 'date' }
+
+      beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {})
+      })
+
+      afterEach(() => {
+        console.warn.mockRestore()
+      })
+
+      it('should only accept ISO dates and datetimes', () => {
+        expect(isIsoDate('2024-01-01')).toBe(true)
+        expect(isIsoDate('2024-01-01T10:30:00.000Z')).toBe(true)
+        expect(isIsoDate('2024-01-01T10:30+02:00')).toBe(true)
+        expect(isIsoDate('2024-01-01 or true eq true')).toBe(false)
+        expect(isIsoDate('yesterday')).toBe(false)
+        expect(isIsoDate(20240101)).toBe(false)
+      })
+
+      it('should drop date values that carry expression syntax', () => {
+        const filters = { created: ['2024-01-01 or true eq true', '2024-02-01'], status: ['active'] }
+
+        expect(toODataFilter(filters, { types })).toBe("created eq 2024-02-01 and status eq 'active'")
+        expect(toODataFilter({ created: ['2024-01-01 or true eq true'] }, { types })).toBe('')
+        expect(toODataFilter({ created: [{ operator: 'neq', value: '2024-01-01) or (1 eq 1' }] }, { types })).toBe('')
+        expect(console.warn).toHaveBeenCalledTimes(3)
+      })
+
+      it('should drop ranges with a hostile bound', () => {
+        const filters = { created: [{ min: '2024-01-01) or (1 eq 1', max: '2024-12-31' }, { min: '2025-01-01' }] }
+
+        expect(toODataFilter(filters, { types })).toBe('created ge 2025-01-01')
+        expect(toODataFilter({ created: [['2024-01-01', '2024-01-01) or (1 eq 1'], '2024-03-01'] }, { types })).toBe('created eq 2024-03-01')
+        expect(console.warn).toHaveBeenCalledTimes(2)
+      })
+    })
+  })
+
+  describe('toMongoQuery', () => {
+    it('should build a filter document', () => {
+      expect(toMongoQuery(filters)).toEqual({
+        status: { $in: ['active', 'pending'] },
+        category: 'books',
+        price: { $gte: 10, $lte: 50 }
+      })
+    })
+
+    it('should use $or and $and when a column mixes values and ranges', () => {
+      const query = toMongoQuery(
+        { price: [0, { min: 100 }], created: [['2024-01-01', null]] },
+        { types: { price: 'number', created: 'date' } }
+      )
+
+      expect(query).toEqual({
+        $and: [
+          { $or: [{ price: 0 }, { price: { $gte: 100 } }] },
+          { created: { $gte: new Date('2024-01-01') } }
+        ]
+      })
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import {
+  URL_ENCODINGS,
+  encodeFilters,
+  decodeFilters,
+  pickFilterParams,
+  mergeFiltersIntoQuery,
+  isSameQuery
+} from '../src/utils/urlSync.js'
+
+describe('urlSync utilities', () => {
+  const filters = {
+    category: ['electronics', 'books'],
+    price: { min: 10, max: 50 }
+  }
+
+  describe('encodeFilters', () => {
+    it('should encode values as repeated keys by default', () => {
+      expect(encodeFilters(filters)).toEqual({
+        filter_category: ['electronics', 'books'],
+        filter_price: ['10..50']
+      })
+    })
+
+    it('should encode values comma-joined with a custom prefix', () => {
+      const options = { prefix: 'af.', encoding: URL_ENCODINGS.COMMA }
+
+      // The value's own escaped comma is escaped once more by the join
+      expect(encodeFilters({ tag: ['a,b', 'c'] }, options)).toEqual({
+        'af.tag': 'a~~~,b,c'
+      })
+    })
+
+    it('should escape plain text that looks like a range or an operator', () => {
+      expect(encodeFilters({
+        name: ['a..b', 'neq:x', '100%', '.hidden', 'v1.2', 'a~b'],
+        price: [{ min: 1.5, max: null }, { operator: 'in', value: ['a,b', 'c'] }]
+      })).toEqual({
+        filter_name: ['a~.~.b', 'neq~:x', '100%', '~.hidden', 'v1.2', 'a~~b'],
+        filter_price: ['1.5..', 'in:a~,b,c']
+      })
+    })
+
+    it('should skip empty columns', () => {
+      expect(encodeFilters({ category: [], status: null })).toEqual({})
+    })
+  })
+
+  describe('decodeFilters', () => {
+    it('should decode repeated keys and single values', () => {
+      const query = { filter_category: ['electronics', 'books'], filter_status: 'active', page: '2' }
+
+      expect(decodeFilters(query)).toEqual({
+        category: ['electronics', 'books'],
+        status: ['active']
+      })
+    })
+
+    it('should decode comma-joined values', () => {
+      const options = { prefix: 'af.', encoding: URL_ENCODINGS.COMMA }
+
+      expect(decodeFilters({ 'af.tag': 'a~,b,c' }, options)).toEqual({ tag: ['a,b', 'c'] })
+    })
+
+    it('should decode ranges, including open-ended ones', () => {
+      expect(decodeFilters({ filter_price: ['10..50', '..5'] })).toEqual({
+        price: [{ min: '10', max: '50' }, { min: null, max: '5' }]
+      })
+    })
+
+    it('should decode operator values', () => {
+      expect(decodeFilters({ filter_status: ['neq:archived', 'in:a,b', 'note:x'] })).toEqual({
+        status: [{ operator: 'neq', value: 'archived' }, { operator: 'in', value: ['a', 'b'] }, 'note:x']
+      })
+    })
+
+    it('should round-trip text values in both encodings', () => {
+      const text = {
+        name: ['a..b', 'neq:x', 'in:a,b', '..', 'a.', '100%', 'x%2Cy', 'a~b', '~', '~:'],
+        range: [{ min: 'a.', max: '.b' }, { min: null, max: '1.5' }],
+        list: [{ operator: 'in', value: ['a,b', 'c:d', 'e~,'] }, { operator: 'neq', value: 'a..b' }]
+      }
+
+      Object.values(URL_ENCODINGS).forEach(encoding => {
+        expect(decodeFilters(encodeFilters(text, { encoding }), { encoding })).toEqual(text)
+      })
+    })
+
+    it('should round-trip encoded filters', () => {
+      const options = { encoding: URL_ENCODINGS.COMMA }
+      const decoded = decodeFilters(encodeFilters(filters, options), options)
+
+      expect(encodeFilters(decoded, options)).toEqual(encodeFilters(filters, options))
+    })
+  })
+
+  describe('query helpers', () => {
+    it('should pick only prefixed params', () => {
+      expect(pickFilterParams({ filter_a: 'x', page: '1' })).toEqual({ filter_a: 'x' })
+    })
+
+    it('should replace filter params and keep unrelated ones', () => {
+      const query = { page: '2', filter_old: 'x' }
+
+      expect(mergeFiltersIntoQuery(query, { category: ['books'] })).toEqual({
+        page: '2',
+        filter_category: ['books']
+      })
+    })
+
+    it('should compare queries regardless of single vs repeated values', () => {
+      expect(isSameQuery({ a: 'x' }, { a: ['x'] })).toBe(true)
+      expect(isSameQuery({ a: ['x', 'y'] }, { a: ['y', 'x'] })).toBe(false)
+      expect(isSameQuery({ a: 'x' }, { a: 'x', b: 'y' })).toBe(false)
+    })
+  })
+})
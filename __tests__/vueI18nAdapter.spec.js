@@ -0,0 +1,54 @@
+import { VueI18nAdapter, hasVueI18n } from '../src/utils/vueI18nAdapter.js'
+
+// Minimal stand-in for a component with vue-i18n installed
+const createVm = (locale, messages) => {
+  const vm = {
+    $i18n: { locale },
+    $te: jest.fn(key => key in (messages[vm.$i18n.locale] || {})),
+    $t: jest.fn(key => messages[vm.$i18n.locale][key]),
+    $tc: jest.fn((key, count) => messages[vm.$i18n.locale][key].split(' | ')[count === 1 ? 0 : 1])
+  }
+  return vm
+}
+
+describe('VueI18nAdapter', () => {
+  it('should detect vue-i18n', () => {
+    expect(hasVueI18n(createVm('en', {}))).toBe(true)
+    expect(hasVueI18n({ $t: () => '' })).toBe(false)
+    expect(hasVueI18n(null)).toBe(false)
+  })
+
+  it('should use the host messages under the prefix', () => {
+    const vm = createVm('fr', { fr: { 'filters.clearAll': 'Tout effacer' } })
+    const adapter = new VueI18nAdapter(vm, 'filters')
+
+    expect(adapter.t('clearAll')).toBe('Tout effacer')
+    expect(vm.$te).toHaveBeenCalledWith('filters.clearAll')
+  })
+
+  it('should use $tc for counts', () => {
+    const vm = createVm('en', { en: { 'activeFilters.filterCount': 'One filter | Some filters' } })
+    const adapter = new VueI18nAdapter(vm)
+
+    expect(adapter.t('filterCount', { count: 1 })).toBe('One filter')
+    expect(adapter.t('filterCount', { count: 4 })).toBe('Some filters')
+  })
+
+  it('should fall back to the bundled messages of the vue-i18n locale', () => {
+    const vm = createVm('en', {})
+    const adapter = new VueI18nAdapter(vm, 'filters', { undo: 'Revert' })
+
+    expect(adapter.t('clearAll')).toBe('Clear All')
+    expect(adapter.t('undo')).toBe('Revert')
+
+    vm.$i18n.locale = 'zh-TW'
+    expect(adapter.t('clearAll')).toBe('清除全部')
+    expect(adapter.t('undo')).toBe('Revert')
+  })
+
+  it('should follow the vue-i18n locale direction', () => {
+    const vm = createVm('ar', {})
+
+    expect(new VueI18nAdapter(vm).dir).toBe('rtl')
+  })
+})
@@ -1,7 +1,28 @@
 import ActiveFilters from './src/components/ActiveFilters.vue'
+import FilterPresets from './src/components/FilterPresets.vue'
+import DropdownFilter from './src/components/DropdownFilter.vue'
+import {
+  FilterStore,
+  createFilterStore,
+  createFilterModule,
+  connectFilterModule
+} from './src/store/filterStore.js'
+import { I18n } from './src/utils/i18n.js'
 
 ActiveFilters.install = function (Vue) {
   Vue.component(ActiveFilters.name, ActiveFilters)
+  Vue.component(FilterPresets.name, FilterPresets)
+  Vue.component(DropdownFilter.name, DropdownFilter)
+}
+
+export {
+  FilterPresets,
+  DropdownFilter,
+  FilterStore,
+  createFilterStore,
+  createFilterModule,
+  connectFilterModule,
+  I18n
 }
 
 export default ActiveFilters
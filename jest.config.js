@@ -2,7 +2,7 @@ module.exports = {
   testEnvironment: 'jsdom',
   moduleFileExtensions: ['js', 'json', 'vue'],
   transform: {
-    '^.+\.vue$': 'vue-jest',
+    '^.+\.vue$': '@vue/vue2-jest',
     '^.+\.js$': 'babel-jest'
   },
   testMatch: ['**/__tests__/**/*.spec.[jt]s?(x)'],
@@ -0,0 +1,245 @@
+// Reactive filter state that applies filter events from the EventBus itself
+import Vue from 'vue'
+import { EventBus, EVENTS } from '../utils/eventBus.js'
+import { normalizeFilterChange } from '../utils/filterEvents.js'
+import {
+  cloneFilters,
+  getColumnValues,
+  removeValue,
+  replaceValue
+} from '../utils/filterValues.js'
+
+// Events the store applies to its state
+export const STORE_EVENTS = [
+  EVENTS.FILTER_CHANGED,
+  EVENTS.FILTER_APPLIED,
+  EVENTS.FILTER_REMOVED,
+  EVENTS.COLUMN_CLEARED,
+  EVENTS.FILTERS_CLEARED,
+  EVENTS.FILTERS_RESTORED,
+  EVENTS.PRESET_APPLIED,
+  EVENTS.FILTERS_BATCH_CHANGED
+]
+
+// Operation types of a FILTERS_BATCH_CHANGED payload
+export const FILTER_OPERATIONS = {
+  // { type, columnProp, value, operator }
+  REMOVE: 'remove',
+  // { type, columnProp, oldValue, newValue, operator }
+  UPDATE: 'update',
+  // { type, columnProp, values }
+  CLEAR_COLUMN: 'clearColumn'
+}
+
+// Each operation applies like the single event it replaces
+const OPERATION_EVENTS = {
+  [FILTER_OPERATIONS.REMOVE]: EVENTS.FILTER_REMOVED,
+  [FILTER_OPERATIONS.UPDATE]: EVENTS.FILTER_CHANGED,
+  [FILTER_OPERATIONS.CLEAR_COLUMN]: EVENTS.COLUMN_CLEARED
+}
+
+const isFilterObject = value => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Return a copy of the filters with one column replaced; empty columns are dropped
+function withColumn(filters, columnProp, values) {
+  const next = { ...filters }
+  if (values.length > 0) {
+    next[columnProp] = values
+  } else {
+    delete next[columnProp]
+  }
+  return next
+}
+
+// Pure reducer shared by FilterStore and the Vuex module: returns the
+// filters after applying a bus event, or the same object when nothing changed
+export function applyFilterEvent(filters, event, data) {
+  switch (event) {
+    case EVENTS.FILTER_CHANGED: {
+      const change = normalizeFilterChange(data)
+      if (!change) return filters
+      
+      if (change.values) {
+        return withColumn(filters, change.columnProp, change.values)
+      }
+      if (change.oldValue !== undefined && change.newValue !== undefined) {
+        const values = getColumnValues(filters[change.columnProp])
+        return withColumn(filters, change.columnProp, replaceValue(values, change.oldValue, change.newValue))
+      }
+      return filters
+    }
+    
+    // Either a whole filter object or a single column change
+    case EVENTS.FILTER_APPLIED:
+      if (data && isFilterObject(data.filters)) return cloneFilters(data.filters)
+      return applyFilterEvent(filters, EVENTS.FILTER_CHANGED, data)
+    
+    case EVENTS.FILTER_REMOVED:
+      if (!data || !data.columnProp) return filters
+      return withColumn(filters, data.columnProp, removeValue(getColumnValues(filters[data.columnProp]), data.value))
+    
+    case EVENTS.COLUMN_CLEARED:
+      if (!data || !data.columnProp) return filters
+      return withColumn(filters, data.columnProp, [])
+    
+    // Locked filters listed in `kept` survive a clear
+    case EVENTS.FILTERS_CLEARED:
+      if (data && isFilterObject(data.kept)) return cloneFilters(data.kept)
+      return {}
+    
+    case EVENTS.FILTERS_RESTORED:
+    case EVENTS.PRESET_APPLIED:
+      if (!data || !isFilterObject(data.filters)) return filters
+      return cloneFilters(data.filters)
+    
+    // The resulting filters when given, otherwise the operations in order
+    case EVENTS.FILTERS_BATCH_CHANGED:
+      if (data && isFilterObject(data.filters)) return cloneFilters(data.filters)
+      if (!data || !Array.isArray(data.operations)) return filters
+      return data.operations.reduce(applyFilterOperation, filters)
+    
+    default:
+      return filters
+  }
+}
+
+// Apply one operation of a batch; unknown operations change nothing
+export function applyFilterOperation(filters, operation) {
+  const event = operation && OPERATION_EVENTS[operation.type]
+  if (!event) return filters
+  return applyFilterEvent(filters, event, operation)
+}
+
+const readonlyViews = new WeakMap()
+const isViewable = value => !!value && typeof value === 'object' &&
+  (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype)
+
+// Deep read-only view of reactive state. Reads go through to the observed
+// object, so Vue still tracks dependencies; writes are ignored with a warning.
+export function readonlyView(target) {
+  if (!isViewable(target)) return target
+  if (readonlyViews.has(target)) return readonlyViews.get(target)
+  
+  const warn = key => console.warn(`[FilterStore] State is read-only, cannot modify "${String(key)}"`)
+  const view = new Proxy(target, {
+    get(obj, key) {
+      return readonlyView(Reflect.get(obj, key))
+    },
+    set(obj, key) {
+      warn(key)
+      return true
+    },
+    deleteProperty(obj, key) {
+      warn(key)
+      return true
+    }
+  })
+  
+  readonlyViews.set(target, view)
+  return view
+}
+
+const resolveBus = channel => (channel ? EventBus.createChannel(channel) : EventBus)
+
+export class FilterStore {
+  constructor({ filters = {}, channel = '', autoConnect = true } = {}) {
+    this.rawState = Vue.observable({ filters: cloneFilters(filters) })
+    this.bus = resolveBus(channel)
+    this.subscriptionTokens = []
+    
+    if (autoConnect) {
+      this.connect()
+    }
+  }
+  
+  // Read-only `{ filters }`; bind it to ActiveFilters through the `store` prop
+  get state() {
+    return readonlyView(this.rawState)
+  }
+  
+  get filters() {
+    return this.state.filters
+  }
+  
+  // Apply a bus event locally, without publishing it
+  dispatch(event, data) {
+    const next = applyFilterEvent(this.rawState.filters, event, data)
+    if (next !== this.rawState.filters) {
+      this.rawState.filters = next
+    }
+  }
+  
+  setFilters(filters) {
+    this.rawState.filters = cloneFilters(filters)
+  }
+  
+  connect() {
+    if (this.subscriptionTokens.length > 0) return
+    
+    this.subscriptionTokens = STORE_EVENTS.map(event =>
+      this.bus.subscribe(event, data => this.dispatch(event, data))
+    )
+  }
+  
+  disconnect() {
+    this.subscriptionTokens.forEach(token => {
+      this.bus.unsubscribe(token)
+    })
+    this.subscriptionTokens = []
+  }
+}
+
+export function createFilterStore(options) {
+  return new FilterStore(options)
+}
+
+// Optional Vuex integration
+
+export const APPLY_FILTER_EVENT = 'APPLY_FILTER_EVENT'
+export const SET_FILTERS = 'SET_FILTERS'
+
+// Namespaced Vuex module holding the same `{ filters }` state
+export function createFilterModule({ filters = {} } = {}) {
+  return {
+    namespaced: true,
+    state: () => ({
+      filters: cloneFilters(filters)
+    }),
+    getters: {
+      filters: state => state.filters
+    },
+    mutations: {
+      [APPLY_FILTER_EVENT](state, { event, data }) {
+        state.filters = applyFilterEvent(state.filters, event, data)
+      },
+      [SET_FILTERS](state, filters) {
+        state.filters = cloneFilters(filters)
+      }
+    }
+  }
+}
+
+// Commit bus events to a registered filter module. Returns a store-like
+// object accepted by the ActiveFilters `store` prop.
+export function connectFilterModule(vuexStore, namespace = 'filters', { channel = '' } = {}) {
+  const bus = resolveBus(channel)
+  const path = namespace.split('/')
+  let tokens = STORE_EVENTS.map(event =>
+    bus.subscribe(event, data => vuexStore.commit(`${namespace}/${APPLY_FILTER_EVENT}`, { event, data }))
+  )
+  
+  return {
+    get state() {
+      return readonlyView(path.reduce((state, key) => state[key], vuexStore.state))
+    },
+    get filters() {
+      return this.state.filters
+    },
+    disconnect() {
+      tokens.forEach(token => bus.unsubscribe(token))
+      tokens = []
+    }
+  }
+}
+
+export default FilterStore
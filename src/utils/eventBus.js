@@ -6,7 +6,12 @@ export const EVENTS = {
   FILTER_CHANGED: 'FILTER_CHANGED',
   FILTER_REMOVED: 'FILTER_REMOVED',
   FILTERS_CLEARED: 'FILTERS_CLEARED',
+  COLUMN_CLEARED: 'COLUMN_CLEARED',
   FILTER_APPLIED: 'FILTER_APPLIED',
+  FILTERS_RESTORED: 'FILTERS_RESTORED',
+  FILTER_TOGGLED: 'FILTER_TOGGLED',
+  FILTERS_BATCH_CHANGED: 'FILTERS_BATCH_CHANGED',
+  PRESET_APPLIED: 'PRESET_APPLIED',
   
   // UI events
   DROPDOWN_OPENED: 'DROPDOWN_OPENED',
@@ -17,6 +22,15 @@ export const EVENTS = {
   DATA_LOADED: 'DATA_LOADED'
 }
 
+// Separator between a channel name and an event, e.g. `orders/FILTER_REMOVED`.
+// PubSub treats '.' as a topic hierarchy, so it is avoided here.
+export const CHANNEL_SEPARATOR = '/'
+
+// Topic of an event inside a channel; without a channel the event is global
+export function getChannelTopic(channel, event) {
+  return channel ? `${channel}${CHANNEL_SEPARATOR}${event}` : event
+}
+
 // Wrapper functions for better type safety and debugging
 export const EventBus = {
   // Publish events
@@ -48,6 +62,19 @@ export const EventBus = {
     PubSub.unsubscribe(event)
   },
   
+  // Create a channel whose topics are namespaced with its name, so several
+  // filter bars on one page don't receive each other's events
+  createChannel(name) {
+    return {
+      name,
+      topic: event => getChannelTopic(name, event),
+      publish: (event, data = null) => EventBus.publish(getChannelTopic(name, event), data),
+      subscribe: (event, callback) => EventBus.subscribe(getChannelTopic(name, event), callback),
+      unsubscribe: token => EventBus.unsubscribe(token),
+      unsubscribeAll: event => EventBus.unsubscribeAll(getChannelTopic(name, event))
+    }
+  },
+  
   // Clear all subscriptions (useful for cleanup)
   clearAll() {
     console.log('[EventBus] Clearing all subscriptions')
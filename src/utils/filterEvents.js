@@ -0,0 +1,40 @@
+// Payload contract of FILTER_CHANGED:
+//   columnProp          - the column that changed
+//   values              - the column's complete list of values after the change, when known
+//   oldValue / newValue - the edited value, for single-value edits
+//   operator            - the operator of `newValue` ('eq', 'neq', ...), for single-value edits
+//   source              - name of the publishing component
+//   trigger             - what caused the change ('edit', 'url', ...)
+import { getColumnValues } from './filterValues.js'
+
+export function createFilterChange({ columnProp, values, oldValue, newValue, operator, source = 'ActiveFilters', trigger } = {}) {
+  const change = { columnProp, source }
+  if (Array.isArray(values)) change.values = values
+  if (oldValue !== undefined) change.oldValue = oldValue
+  if (newValue !== undefined) change.newValue = newValue
+  if (operator) change.operator = operator
+  if (trigger) change.trigger = trigger
+  return change
+}
+
+// Normalize a FILTER_CHANGED payload. Also accepts the legacy
+// `{ columnProp, value }` shape, where `value` holds the column's values.
+// Returns null for payloads without a column.
+export function normalizeFilterChange(data) {
+  if (!data || typeof data.columnProp !== 'string' || data.columnProp === '') return null
+
+  let values = data.values
+  if (!Array.isArray(values) && 'value' in data) {
+    values = getColumnValues(data.value)
+  }
+
+  return createFilterChange({
+    columnProp: data.columnProp,
+    values,
+    oldValue: data.oldValue,
+    newValue: data.newValue,
+    operator: data.operator,
+    source: data.source,
+    trigger: data.trigger
+  })
+}
@@ -0,0 +1,60 @@
+// Bounded undo/redo stacks of filter snapshots
+import { cloneFilters } from './filterValues.js'
+
+export const DEFAULT_HISTORY_LIMIT = 20
+
+export class FilterHistory {
+  constructor(limit = DEFAULT_HISTORY_LIMIT) {
+    this.limit = limit
+    this.undoStack = []
+    this.redoStack = []
+  }
+  
+  get canUndo() {
+    return this.undoStack.length > 0
+  }
+  
+  get canRedo() {
+    return this.redoStack.length > 0
+  }
+  
+  // Record the state before a change; a new change invalidates redo
+  record(filters) {
+    if (this.limit <= 0) return
+    
+    this.undoStack.push(cloneFilters(filters))
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+  }
+  
+  // Returns the snapshot to restore, or null when there is nothing to undo
+  undo(current) {
+    if (!this.canUndo) return null
+    this.redoStack.push(cloneFilters(current))
+    return this.undoStack.pop()
+  }
+  
+  redo(current) {
+    if (!this.canRedo) return null
+    this.undoStack.push(cloneFilters(current))
+    return this.redoStack.pop()
+  }
+  
+  setLimit(limit) {
+    this.limit = limit
+    if (limit <= 0) {
+      this.clear()
+    } else if (this.undoStack.length > limit) {
+      this.undoStack.splice(0, this.undoStack.length - limit)
+    }
+  }
+  
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+  }
+}
+
+export default FilterHistory
@@ -0,0 +1,129 @@
+// Named filter presets persisted through a pluggable storage adapter
+import { cloneFilters } from './filterValues.js'
+
+export const PRESET_STORAGE_PREFIX = 'vue2-active-filters:presets:'
+
+// Adapters follow the synchronous Web Storage API (getItem/setItem/removeItem)
+export function createMemoryAdapter(initial = {}) {
+  const data = { ...initial }
+  return {
+    getItem(key) {
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null
+    },
+    setItem(key, value) {
+      data[key] = String(value)
+    },
+    removeItem(key) {
+      delete data[key]
+    }
+  }
+}
+
+// Falls back to memory when localStorage is unavailable (SSR, privacy mode)
+export function createLocalStorageAdapter() {
+  try {
+    const storage = window.localStorage
+    const probe = `${PRESET_STORAGE_PREFIX}probe`
+    storage.setItem(probe, probe)
+    storage.removeItem(probe)
+    return storage
+  } catch (error) {
+    console.warn('[FilterPresets] localStorage is unavailable, presets will not persist')
+    return createMemoryAdapter()
+  }
+}
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`
+
+export class PresetManager {
+  constructor(namespace, adapter = createLocalStorageAdapter()) {
+    this.namespace = namespace
+    this.adapter = adapter
+  }
+  
+  get storageKey() {
+    return `${PRESET_STORAGE_PREFIX}${this.namespace}`
+  }
+  
+  list() {
+    try {
+      const stored = this.adapter.getItem(this.storageKey)
+      const presets = stored ? JSON.parse(stored) : []
+      return Array.isArray(presets) ? presets : []
+    } catch (error) {
+      console.error('[FilterPresets] Failed to load presets:', error)
+      return []
+    }
+  }
+  
+  get(id) {
+    return this.list().find(preset => preset.id === id) || null
+  }
+  
+  // Saving under an existing name overwrites that preset's filters
+  save(name, filters) {
+    const trimmed = String(name || '').trim()
+    if (!trimmed) return null
+    
+    const presets = this.list()
+    const now = Date.now()
+    let preset = presets.find(item => item.name === trimmed)
+    
+    if (preset) {
+      preset.filters = cloneFilters(filters)
+      preset.updatedAt = now
+    } else {
+      preset = {
+        id: createId(),
+        name: trimmed,
+        filters: cloneFilters(filters),
+        createdAt: now,
+        updatedAt: now
+      }
+      presets.push(preset)
+    }
+    
+    return this.write(presets) ? preset : null
+  }
+  
+  // Names stay unique: renaming onto another preset's name is refused
+  rename(id, name) {
+    const trimmed = String(name || '').trim()
+    const presets = this.list()
+    const preset = presets.find(item => item.id === id)
+    if (!preset || !trimmed || this.isNameTaken(trimmed, id)) return null
+    
+    preset.name = trimmed
+    preset.updatedAt = Date.now()
+    return this.write(presets) ? preset : null
+  }
+  
+  // Whether a preset other than `exceptId` already uses the (trimmed) name
+  isNameTaken(name, exceptId = null) {
+    const trimmed = String(name || '').trim()
+    return this.list().some(preset => preset.name === trimmed && preset.id !== exceptId)
+  }
+  
+  remove(id) {
+    const presets = this.list()
+    const remaining = presets.filter(preset => preset.id !== id)
+    if (remaining.length === presets.length) return false
+    return this.write(remaining)
+  }
+  
+  write(presets) {
+    try {
+      if (presets.length === 0) {
+        this.adapter.removeItem(this.storageKey)
+      } else {
+        this.adapter.setItem(this.storageKey, JSON.stringify(presets))
+      }
+      return true
+    } catch (error) {
+      console.error('[FilterPresets] Failed to save presets:', error)
+      return false
+    }
+  }
+}
+
+export default PresetManager
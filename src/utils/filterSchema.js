@@ -0,0 +1,195 @@
+// Validation of filter objects against an optional column schema:
+//
+//   {
+//     status: { label: 'Status', type: 'string', values: ['active', 'archived'], multiple: true },
+//     price: { label: 'Price', type: 'number', multiple: false }
+//   }
+//
+// `type` is one of COLUMN_TYPES and also applies to range bounds and operands,
+// `values` lists the allowed values and `multiple: false` keeps one value per column.
+// Every key is optional. Without a schema only the shape of each entry is checked.
+import {
+  getColumnValues,
+  getValueKey,
+  isRangeValue,
+  getRangeBounds,
+  isOperatorValue,
+  getOperands
+} from './filterValues.js'
+import { COLUMN_TYPES, coerceValue } from './queryBuilders.js'
+
+export const VALIDATION_ERRORS = {
+  // The column is not in the schema; dropped
+  UNKNOWN_COLUMN: 'unknownColumn',
+  // A value that is neither a scalar, a range nor an operator value; dropped
+  INVALID_VALUE: 'invalidValue',
+  // A value that does not match (and cannot be coerced to) the column type; dropped
+  INVALID_TYPE: 'invalidType',
+  // A value missing from the column's allowed values; dropped
+  NOT_ALLOWED: 'notAllowed',
+  // More than one value in a single-value column; only the first is kept
+  TOO_MANY_VALUES: 'tooManyValues'
+}
+
+export class FilterValidationError extends Error {
+  constructor(errors) {
+    super(`[ActiveFilters] Invalid filters:\n${errors.map(error => `  - ${error.message}`).join('\n')}`)
+    this.name = 'FilterValidationError'
+    this.errors = errors
+  }
+}
+
+// Bundlers replace `process.env.NODE_ENV`; without one there is no `process` and
+// the check counts as production
+export function isDevelopment() {
+  try {
+    return process.env.NODE_ENV !== 'production'
+  } catch (error) {
+    return false
+  }
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/
+
+const isBlank = value => value === null || value === undefined || value === ''
+
+const isScalar = value => typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+
+const stringify = value => {
+  try {
+    return JSON.stringify(value)
+  } catch (error) {
+    return String(value)
+  }
+}
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case COLUMN_TYPES.NUMBER:
+      return typeof value === 'number' && Number.isFinite(value)
+    case COLUMN_TYPES.BOOLEAN:
+      return typeof value === 'boolean'
+    case COLUMN_TYPES.DATE:
+      return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+    case COLUMN_TYPES.STRING:
+      return typeof value === 'string'
+    default:
+      return true
+  }
+}
+
+// Coerce one scalar to the column type; `undefined` when it does not fit
+const checkScalar = (value, type) => {
+  if (!isScalar(value) && !(value instanceof Date)) return undefined
+  if (!type) return value
+
+  const coerced = coerceValue(value, type)
+  return matchesType(coerced, type) ? coerced : undefined
+}
+
+const isAllowed = (value, allowedKeys) => !allowedKeys || allowedKeys.has(getValueKey(value))
+
+// Returns the normalized value, or an error reason
+function checkValue(value, { type, allowedKeys }) {
+  if (isRangeValue(value)) {
+    const { min, max } = getRangeBounds(value)
+    const bounds = {}
+    for (const [name, bound] of [['min', min], ['max', max]]) {
+      if (isBlank(bound)) {
+        bounds[name] = null
+        continue
+      }
+      const checked = checkScalar(bound, type)
+      if (checked === undefined) return { reason: VALIDATION_ERRORS.INVALID_TYPE }
+      bounds[name] = checked
+    }
+    // Ranges keep their shape; only typed bounds are replaced
+    const range = type
+      ? (Array.isArray(value) ? [bounds.min, bounds.max] : { ...value, min: bounds.min, max: bounds.max })
+      : value
+    return { value: range }
+  }
+
+  if (isOperatorValue(value)) {
+    const operands = []
+    for (const operand of getOperands(value)) {
+      const checked = checkScalar(operand, type)
+      if (checked === undefined) return { reason: VALIDATION_ERRORS.INVALID_TYPE }
+      if (!isAllowed(checked, allowedKeys)) return { reason: VALIDATION_ERRORS.NOT_ALLOWED }
+      operands.push(checked)
+    }
+    return { value: { ...value, value: Array.isArray(value.value) ? operands : operands[0] } }
+  }
+
+  if (!isScalar(value) && !(value instanceof Date)) return { reason: VALIDATION_ERRORS.INVALID_VALUE }
+
+  const checked = checkScalar(value, type)
+  if (checked === undefined) return { reason: VALIDATION_ERRORS.INVALID_TYPE }
+  if (!isAllowed(checked, allowedKeys)) return { reason: VALIDATION_ERRORS.NOT_ALLOWED }
+  return { value: checked }
+}
+
+const ERROR_MESSAGES = {
+  [VALIDATION_ERRORS.UNKNOWN_COLUMN]: ({ columnProp }) => `"${columnProp}" is not a column of the filter schema`,
+  [VALIDATION_ERRORS.INVALID_VALUE]: ({ columnProp, value }) => `${stringify(value)} is not a valid value of "${columnProp}"`,
+  [VALIDATION_ERRORS.INVALID_TYPE]: ({ columnProp, value, type }) => `${stringify(value)} of "${columnProp}" is not a ${type}`,
+  [VALIDATION_ERRORS.NOT_ALLOWED]: ({ columnProp, value }) => `${stringify(value)} is not an allowed value of "${columnProp}"`,
+  [VALIDATION_ERRORS.TOO_MANY_VALUES]: ({ columnProp, values }) => `"${columnProp}" takes a single value but got ${values.length}`
+}
+
+const createError = (reason, details) => ({
+  ...details,
+  reason,
+  message: ERROR_MESSAGES[reason](details)
+})
+
+// Normalize a filter object. Returns `{ filters, errors, originals }`: every
+// column as an array of valid values (empty columns removed), one error per
+// dropped column or value, and the values as given, index for index with
+// `filters` (e.g. `'10'` where `filters` has the coerced `10`).
+export function validateFilters(filters, schema = null) {
+  const normalized = {}
+  const originals = {}
+  const errors = []
+
+  Object.keys(filters || {}).forEach(columnProp => {
+    const entry = getColumnValues(filters[columnProp]).filter(value => !isBlank(value))
+    const column = schema ? schema[columnProp] : {}
+
+    // Empty columns (`null`, `[]`) are dropped without an error
+    if (entry.length === 0) return
+
+    if (!column) {
+      errors.push(createError(VALIDATION_ERRORS.UNKNOWN_COLUMN, { columnProp, value: filters[columnProp] }))
+      return
+    }
+
+    const { type, values: allowed, multiple = true } = column
+    const allowedKeys = Array.isArray(allowed) ? new Set(allowed.map(getValueKey)) : null
+
+    let values = []
+    let given = []
+    entry.forEach(value => {
+      const result = checkValue(value, { type, allowedKeys })
+      if (result.reason) {
+        errors.push(createError(result.reason, { columnProp, value, type }))
+      } else {
+        values.push(result.value)
+        given.push(value)
+      }
+    })
+
+    if (!multiple && values.length > 1) {
+      errors.push(createError(VALIDATION_ERRORS.TOO_MANY_VALUES, { columnProp, values }))
+      values = values.slice(0, 1)
+      given = given.slice(0, 1)
+    }
+
+    if (values.length > 0) {
+      normalized[columnProp] = values
+      originals[columnProp] = given
+    }
+  })
+
+  return { filters: normalized, errors, originals }
+}
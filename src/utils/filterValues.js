@@ -0,0 +1,241 @@
+// Helpers for turning raw filter values into display text
+
+// Find the `{ value, label }` option matching a raw value.
+// Values are compared as strings so IDs coming from query strings ('3')
+// still match numeric option values (3).
+export function findOption(options, value) {
+  if (!Array.isArray(options)) return undefined
+  return options.find(option => option && String(option.value) === String(value))
+}
+
+// Resolve the display text of a value: a formatter function wins,
+// then an options lookup, then the raw value itself
+export function formatFilterValue(value, { columnProp, formatter, options } = {}) {
+  if (typeof formatter === 'function') {
+    const formatted = formatter(value, columnProp)
+    if (formatted !== undefined && formatted !== null) {
+      return String(formatted)
+    }
+  }
+
+  if (isRangeValue(value)) {
+    return formatRange(value)
+  }
+
+  // The operator itself is rendered by the tag, see getTagText
+  if (isOperatorValue(value)) {
+    return getOperands(value)
+      .map(operand => formatFilterValue(operand, { columnProp, formatter, options }))
+      .join(', ')
+  }
+
+  const option = findOption(options, value)
+  if (option) {
+    return String(option.label)
+  }
+
+  return value === null || value === undefined ? '' : String(value)
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/
+
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]'
+
+const isBlank = bound => bound === null || bound === undefined || bound === ''
+
+// A range is either `{ min, max }` or a `[start, end]` tuple
+export function isRangeValue(value) {
+  if (Array.isArray(value)) return value.length === 2
+  return isPlainObject(value) && ('min' in value || 'max' in value)
+}
+
+export function getRangeBounds(value) {
+  if (Array.isArray(value)) {
+    return { min: value[0], max: value[1] }
+  }
+  return { min: value.min, max: value.max }
+}
+
+// Operators a value may carry as `{ operator, value }`; plain values mean `eq`.
+// `in` / `notIn` take an array of values.
+export const OPERATORS = {
+  EQ: 'eq',
+  NEQ: 'neq',
+  CONTAINS: 'contains',
+  STARTS_WITH: 'startsWith',
+  GT: 'gt',
+  GTE: 'gte',
+  LT: 'lt',
+  LTE: 'lte',
+  IN: 'in',
+  NOT_IN: 'notIn'
+}
+
+const OPERATOR_NAMES = Object.values(OPERATORS)
+
+// Include / exclude pairs switched by the chip toggle
+export const EXCLUDE_OPERATORS = {
+  eq: 'neq',
+  neq: 'eq',
+  in: 'notIn',
+  notIn: 'in'
+}
+
+// Operator values are keyed as `neq:archived` or `in:a,b`
+export const OPERATOR_SEPARATOR = ':'
+
+export function isOperatorValue(value) {
+  return isPlainObject(value) && OPERATOR_NAMES.includes(value.operator) && 'value' in value
+}
+
+export function getOperator(value) {
+  return isOperatorValue(value) ? value.operator : OPERATORS.EQ
+}
+
+// The value an operator applies to, e.g. `'archived'` of `{ operator: 'neq', value: 'archived' }`
+export function getOperand(value) {
+  return isOperatorValue(value) ? value.value : value
+}
+
+// The plain values behind a value; ranges have none
+export function getOperands(value) {
+  if (isRangeValue(value)) return []
+  const operand = getOperand(value)
+  return Array.isArray(operand) ? operand : [operand]
+}
+
+// `eq` is stored as the plain value so untouched filters keep their shape
+export function createOperatorValue(operator, operand) {
+  return operator === OPERATORS.EQ ? operand : { operator, value: operand }
+}
+
+export function isExcludeValue(value) {
+  const operator = getOperator(value)
+  return operator === OPERATORS.NEQ || operator === OPERATORS.NOT_IN
+}
+
+// Switch a value between include and exclude; null when its operator has no counterpart
+export function toggleExclude(value) {
+  if (isRangeValue(value)) return null
+
+  const operator = EXCLUDE_OPERATORS[getOperator(value)]
+  if (!operator) return null
+
+  return createOperatorValue(operator, getOperand(value))
+}
+
+const isDateBound = bound => bound instanceof Date || (typeof bound === 'string' && ISO_DATE_PATTERN.test(bound))
+
+const formatBound = bound => {
+  if (bound instanceof Date) return bound.toISOString().slice(0, 10)
+  return String(bound)
+}
+
+// Render a range as a single piece of text. Date ranges use an arrow,
+// numeric ranges a dash; a missing bound makes the range open-ended.
+export function formatRange(value) {
+  const { min, max } = getRangeBounds(value)
+  const isDate = isDateBound(min) || isDateBound(max)
+
+  if (isBlank(min) && isBlank(max)) return ''
+
+  if (isBlank(max)) {
+    return isDate ? `${formatBound(min)} →` : `≥ ${formatBound(min)}`
+  }
+  if (isBlank(min)) {
+    return isDate ? `→ ${formatBound(max)}` : `≤ ${formatBound(max)}`
+  }
+
+  return isDate
+    ? `${formatBound(min)} → ${formatBound(max)}`
+    : `${formatBound(min)} – ${formatBound(max)}`
+}
+
+// Normalize a column entry of `activeFilters` into a list of values.
+// A bare `{ min, max }` object counts as a single range value.
+export function getColumnValues(entry) {
+  if (entry === null || entry === undefined) return []
+  if (Array.isArray(entry)) return entry
+  return [entry]
+}
+
+// Stable string identity for a value, used for `:key` bindings and comparisons
+export function getValueKey(value) {
+  if (isOperatorValue(value)) {
+    if (value.operator === OPERATORS.EQ) return getValueKey(value.value)
+    const operands = getOperands(value).map(getValueKey).join(',')
+    return `${value.operator}${OPERATOR_SEPARATOR}${operands}`
+  }
+  if (isRangeValue(value)) {
+    const { min, max } = getRangeBounds(value)
+    return `${isBlank(min) ? '' : formatBound(min)}..${isBlank(max) ? '' : formatBound(max)}`
+  }
+  return value instanceof Date ? formatBound(value) : String(value)
+}
+
+// Deep copy of a filter object, keeping Date bounds intact
+export function cloneFilters(filters) {
+  const clone = value => {
+    if (value instanceof Date) return new Date(value.getTime())
+    if (Array.isArray(value)) return value.map(clone)
+    if (isPlainObject(value)) {
+      const copy = {}
+      Object.keys(value).forEach(key => {
+        copy[key] = clone(value[key])
+      })
+      return copy
+    }
+    return value
+  }
+  return clone(filters || {})
+}
+
+// Replace one value of a column, dropping duplicates the edit may introduce
+export function replaceValue(values, oldValue, newValue) {
+  const oldKey = getValueKey(oldValue)
+  const seen = new Set()
+
+  return values
+    .map(value => (getValueKey(value) === oldKey ? newValue : value))
+    .filter(value => {
+      const key = getValueKey(value)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+// Remove one value from a column's values, compared by key
+export function removeValue(values, value) {
+  const key = getValueKey(value)
+  return values.filter(item => getValueKey(item) !== key)
+}
+
+// Whether a value is locked by `lockedFilters`: either a list of columns, or
+// `{ columnProp: true }` for a whole column and `{ columnProp: [values] }` for
+// single values
+export function isLockedValue(lockedFilters, columnProp, value) {
+  if (Array.isArray(lockedFilters)) return lockedFilters.includes(columnProp)
+
+  const locked = lockedFilters ? lockedFilters[columnProp] : undefined
+  if (locked === true) return true
+  if (locked === undefined || locked === null || locked === false) return false
+
+  const key = getValueKey(value)
+  return getColumnValues(locked).some(item => getValueKey(item) === key)
+}
+
+// Split filters into `{ cleared, kept }`, keeping the locked values
+export function splitLockedFilters(filters, lockedFilters) {
+  const cleared = {}
+  const kept = {}
+
+  Object.keys(filters || {}).forEach(columnProp => {
+    getColumnValues(filters[columnProp]).forEach(value => {
+      const target = isLockedValue(lockedFilters, columnProp, value) ? kept : cleared
+      target[columnProp] = (target[columnProp] || []).concat([value])
+    })
+  })
+
+  return { cleared, kept }
+}
@@ -1,50 +1,463 @@
-// Simple i18n utility for component localization
+// Simple i18n utility for component localization.
+// Messages support `{param}` substitution and ICU-style plural and select forms:
+//   '{count, plural, =0 {No filters} one {# filter} other {# filters}}'
+//   '{action, select, undo {Undone} other {Redone}}'
+// `#` inside a plural branch is replaced by the (locale formatted) number.
 export const DEFAULT_LOCALE = 'en'
 
 export const LOCALES = {
   en: {
-    filterCount: '{count} filters applied',
+    filterCount: '{count, plural, =0 {No filters applied} one {# filter applied} other {# filters applied}}',
     clearAll: 'Clear All',
+    undo: 'Undo',
+    redo: 'Redo',
+    filterRemoved: 'Filter removed',
+    filtersCleared: 'All filters cleared',
+    filterUpdated: 'Filter updated',
+    applyEdit: 'Apply',
+    cancelEdit: 'Cancel',
+    columnCleared: 'Column filters cleared',
+    presets: 'Presets',
+    presetNamePlaceholder: 'Preset name',
+    savePreset: 'Save',
+    renamePreset: 'Rename',
+    deletePreset: 'Delete',
+    noPresets: 'No saved presets',
+    moreFilters: '+{count, plural, other {# more}}',
+    moreFiltersSuspended: '+{count, plural, other {# more}}, {suspended} suspended',
+    showLess: 'Show less',
+    showAll: 'Show all',
+    moreValues: '+{count}',
+    selectPlaceholder: 'Select',
+    loadingOptions: 'Loading...',
+    noMatchingOptions: 'No matching options',
+    noOptions: 'No options',
+    resolvingLabel: 'Loading...',
+    activeFilters: 'Active filters',
+    chipAriaLabel: '{filter}. Press Delete to remove',
+    filterRemovedAnnouncement: '{filter} removed, {summary}',
+    columnClearedAnnouncement: '{column} cleared, {summary}',
+    operatorNeq: '≠',
+    operatorContains: 'contains',
+    operatorStartsWith: 'starts with',
+    operatorGt: '>',
+    operatorGte: '≥',
+    operatorLt: '<',
+    operatorLte: '≤',
+    operatorIn: 'is any of',
+    operatorNotIn: 'is none of',
+    excludeFilter: 'Exclude',
+    includeFilter: 'Include',
+    lockedFilter: 'This filter cannot be removed',
+    lockedChipAriaLabel: '{filter}. Locked',
+    filtersClearedKept: 'Filters cleared, {count, plural, one {# locked filter} other {# locked filters}} kept',
+    filterCountSuspended: '{count, plural, =0 {No filters applied} one {# filter applied} other {# filters applied}}, {suspended} suspended',
+    disableFilter: 'Disable',
+    enableFilter: 'Enable',
+    filterSuspendedAnnouncement: '{filter} suspended, {summary}',
+    filterResumedAnnouncement: '{filter} resumed, {summary}',
+    facetCount: '({count, plural, other {#}})',
+    staleFilter: 'No results match this filter',
+    loadingResults: 'Loading results...',
+    filtersRemoved: 'Filters removed',
+    filterQueuedAnnouncement: '{filter} will be removed when loading finishes',
+    filtersRemovedAnnouncement: '{removed, plural, one {# filter} other {# filters}} removed, {summary}',
   },
   'zh-TW': {
-    filterCount: '{count} 個篩選條件',
+    filterCount: '{count, plural, =0 {沒有篩選條件} other {# 個篩選條件}}',
     clearAll: '清除全部',
+    undo: '復原',
+    redo: '重做',
+    filterRemoved: '已移除篩選條件',
+    filtersCleared: '已清除所有篩選條件',
+    filterUpdated: '已更新篩選條件',
+    applyEdit: '套用',
+    cancelEdit: '取消',
+    columnCleared: '已清除欄位篩選條件',
+    presets: '篩選組合',
+    presetNamePlaceholder: '組合名稱',
+    savePreset: '儲存',
+    renamePreset: '重新命名',
+    deletePreset: '刪除',
+    noPresets: '尚無已儲存的篩選組合',
+    moreFilters: '+{count, plural, other {# 個}}',
+    moreFiltersSuspended: '+{count, plural, other {# 個}}，{suspended} 個已暫停',
+    showLess: '收合',
+    showAll: '全部顯示',
+    moreValues: '+{count}',
+    selectPlaceholder: '請選擇',
+    loadingOptions: '載入中...',
+    noMatchingOptions: '沒有符合的選項',
+    noOptions: '沒有選項',
+    resolvingLabel: '載入中...',
+    activeFilters: '目前的篩選條件',
+    chipAriaLabel: '{filter}。按 Delete 鍵移除',
+    filterRemovedAnnouncement: '已移除 {filter}，{summary}',
+    columnClearedAnnouncement: '已清除 {column}，{summary}',
+    operatorNeq: '≠',
+    operatorContains: '包含',
+    operatorStartsWith: '開頭為',
+    operatorGt: '>',
+    operatorGte: '≥',
+    operatorLt: '<',
+    operatorLte: '≤',
+    operatorIn: '為下列之一',
+    operatorNotIn: '不為下列任一',
+    excludeFilter: '排除',
+    includeFilter: '包含',
+    lockedFilter: '此篩選條件無法移除',
+    lockedChipAriaLabel: '{filter}。已鎖定',
+    filtersClearedKept: '已清除篩選條件，保留 {count} 個鎖定的篩選條件',
+    filterCountSuspended: '{count, plural, =0 {沒有篩選條件} other {# 個篩選條件}}，{suspended} 個已暫停',
+    disableFilter: '停用',
+    enableFilter: '啟用',
+    filterSuspendedAnnouncement: '已暫停 {filter}，{summary}',
+    filterResumedAnnouncement: '已恢復 {filter}，{summary}',
+    facetCount: '（{count, plural, other {#}}）',
+    staleFilter: '沒有符合此篩選條件的結果',
+    loadingResults: '正在載入結果...',
+    filtersRemoved: '已移除篩選條件',
+    filterQueuedAnnouncement: '{filter} 將在載入完成後移除',
+    filtersRemovedAnnouncement: '已移除 {removed} 個篩選條件，{summary}',
   },
   'zh-CN': {
-    filterCount: '{count} 个筛选条件',
+    filterCount: '{count, plural, =0 {没有筛选条件} other {# 个筛选条件}}',
     clearAll: '清除全部',
+    undo: '撤销',
+    redo: '重做',
+    filterRemoved: '已移除筛选条件',
+    filtersCleared: '已清除所有筛选条件',
+    filterUpdated: '已更新筛选条件',
+    applyEdit: '应用',
+    cancelEdit: '取消',
+    columnCleared: '已清除列筛选条件',
+    presets: '筛选组合',
+    presetNamePlaceholder: '组合名称',
+    savePreset: '保存',
+    renamePreset: '重命名',
+    deletePreset: '删除',
+    noPresets: '暂无已保存的筛选组合',
+    moreFilters: '+{count, plural, other {# 个}}',
+    moreFiltersSuspended: '+{count, plural, other {# 个}}，{suspended} 个已暂停',
+    showLess: '收起',
+    showAll: '全部显示',
+    moreValues: '+{count}',
+    selectPlaceholder: '请选择',
+    loadingOptions: '加载中...',
+    noMatchingOptions: '没有匹配的选项',
+    noOptions: '暂无选项',
+    resolvingLabel: '加载中...',
+    activeFilters: '当前的筛选条件',
+    chipAriaLabel: '{filter}。按 Delete 键移除',
+    filterRemovedAnnouncement: '已移除 {filter}，{summary}',
+    columnClearedAnnouncement: '已清除 {column}，{summary}',
+    operatorNeq: '≠',
+    operatorContains: '包含',
+    operatorStartsWith: '开头为',
+    operatorGt: '>',
+    operatorGte: '≥',
+    operatorLt: '<',
+    operatorLte: '≤',
+    operatorIn: '为下列之一',
+    operatorNotIn: '不为下列任一',
+    excludeFilter: '排除',
+    includeFilter: '包含',
+    lockedFilter: '此筛选条件无法移除',
+    lockedChipAriaLabel: '{filter}。已锁定',
+    filtersClearedKept: '已清除筛选条件，保留 {count} 个锁定的筛选条件',
+    filterCountSuspended: '{count, plural, =0 {没有筛选条件} other {# 个筛选条件}}，{suspended} 个已暂停',
+    disableFilter: '停用',
+    enableFilter: '启用',
+    filterSuspendedAnnouncement: '已暂停 {filter}，{summary}',
+    filterResumedAnnouncement: '已恢复 {filter}，{summary}',
+    facetCount: '（{count, plural, other {#}}）',
+    staleFilter: '没有符合此筛选条件的结果',
+    loadingResults: '正在加载结果...',
+    filtersRemoved: '已移除筛选条件',
+    filterQueuedAnnouncement: '{filter} 将在加载完成后移除',
+    filtersRemovedAnnouncement: '已移除 {removed} 个筛选条件，{summary}',
   },
   ja: {
-    filterCount: '{count} 個のフィルター',
+    filterCount: '{count, plural, =0 {フィルターなし} other {# 個のフィルター}}',
     clearAll: 'すべてクリア',
+    undo: '元に戻す',
+    redo: 'やり直す',
+    filterRemoved: 'フィルターを削除しました',
+    filtersCleared: 'すべてのフィルターをクリアしました',
+    filterUpdated: 'フィルターを更新しました',
+    applyEdit: '適用',
+    cancelEdit: 'キャンセル',
+    columnCleared: '列のフィルターをクリアしました',
+    presets: 'プリセット',
+    presetNamePlaceholder: 'プリセット名',
+    savePreset: '保存',
+    renamePreset: '名前を変更',
+    deletePreset: '削除',
+    noPresets: '保存済みのプリセットはありません',
+    moreFilters: '+{count, plural, other {# 件}}',
+    moreFiltersSuspended: '+{count, plural, other {# 件}}（{suspended} 件を一時停止中）',
+    showLess: '折りたたむ',
+    showAll: 'すべて表示',
+    moreValues: '{count, plural, other {他 # 件}}',
+    selectPlaceholder: '選択してください',
+    loadingOptions: '読み込み中...',
+    noMatchingOptions: '一致する選択肢がありません',
+    noOptions: '選択肢がありません',
+    resolvingLabel: '読み込み中...',
+    activeFilters: '適用中のフィルター',
+    chipAriaLabel: '{filter}。Delete キーで削除',
+    filterRemovedAnnouncement: '{filter} を削除しました。{summary}',
+    columnClearedAnnouncement: '{column} をクリアしました。{summary}',
+    operatorNeq: '≠',
+    operatorContains: '部分一致',
+    operatorStartsWith: '前方一致',
+    operatorGt: '>',
+    operatorGte: '≥',
+    operatorLt: '<',
+    operatorLte: '≤',
+    operatorIn: 'いずれか',
+    operatorNotIn: 'いずれでもない',
+    excludeFilter: '除外',
+    includeFilter: '含める',
+    lockedFilter: 'このフィルターは削除できません',
+    lockedChipAriaLabel: '{filter}。ロック中',
+    filtersClearedKept: 'フィルターをクリアしました。ロック中の {count} 件は残ります',
+    filterCountSuspended: '{count, plural, =0 {フィルターなし} other {# 個のフィルター}}（{suspended} 個を一時停止中）',
+    disableFilter: '無効にする',
+    enableFilter: '有効にする',
+    filterSuspendedAnnouncement: '{filter} を一時停止しました。{summary}',
+    filterResumedAnnouncement: '{filter} を再開しました。{summary}',
+    facetCount: '（{count, plural, other {#}} 件）',
+    staleFilter: 'このフィルターに一致する結果はありません',
+    loadingResults: '結果を読み込み中...',
+    filtersRemoved: 'フィルターを削除しました',
+    filterQueuedAnnouncement: '読み込み完了後に {filter} を削除します',
+    filtersRemovedAnnouncement: '{removed} 件のフィルターを削除しました。{summary}',
   }
 }
 
+// Where a locale's missing messages come from, before its language
+// subtag and DEFAULT_LOCALE. Extended by I18n.registerLocale.
+export const LOCALE_FALLBACKS = {
+  'zh-HK': 'zh-TW',
+  'zh-MO': 'zh-TW',
+  'zh-Hant': 'zh-TW',
+  'zh-SG': 'zh-CN',
+  'zh-Hans': 'zh-CN',
+  zh: 'zh-CN',
+  'zh-TW': DEFAULT_LOCALE,
+  'zh-CN': DEFAULT_LOCALE
+}
+
+// Languages written right to left; registered locales can override it
+export const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']
+
+export const LOCALE_DIRECTIONS = {}
+
+// 'zh_hk' -> 'zh-HK'; invalid tags are returned as given
+export function normalizeLocale(locale) {
+  const tag = String(locale || DEFAULT_LOCALE).replace(/_/g, '-')
+  try {
+    return Intl.getCanonicalLocales(tag)[0]
+  } catch (error) {
+    return tag
+  }
+}
+
+// The locales whose messages are used, most specific first:
+// zh-HK -> zh-TW -> en, de-AT -> de -> en
+export function getFallbackChain(locale) {
+  const chain = []
+  let current = normalizeLocale(locale)
+
+  while (current && !chain.includes(current)) {
+    chain.push(current)
+
+    if (LOCALE_FALLBACKS[current]) {
+      current = LOCALE_FALLBACKS[current]
+    } else if (current.includes('-')) {
+      current = current.slice(0, current.lastIndexOf('-'))
+    } else {
+      current = DEFAULT_LOCALE
+    }
+  }
+
+  return chain
+}
+
+// 'rtl' or 'ltr', from the registered direction or the language
+export function getLocaleDirection(locale) {
+  const chain = getFallbackChain(locale)
+  const registered = chain.find(code => LOCALE_DIRECTIONS[code])
+  if (registered) return LOCALE_DIRECTIONS[registered]
+
+  const language = chain[0].split('-')[0]
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr'
+}
+
+// Messages of a locale merged over its fallbacks
+export function resolveMessages(locale) {
+  return getFallbackChain(locale)
+    .reverse()
+    .reduce((messages, code) => ({ ...messages, ...LOCALES[code] }), {})
+}
+
+const pluralRulesCache = {}
+
+function getPluralRules(locale) {
+  if (!pluralRulesCache[locale]) {
+    try {
+      pluralRulesCache[locale] = new Intl.PluralRules(locale)
+    } catch (error) {
+      // Invalid or unsupported locale tag
+      pluralRulesCache[locale] = locale === DEFAULT_LOCALE ? null : getPluralRules(DEFAULT_LOCALE)
+    }
+  }
+  return pluralRulesCache[locale]
+}
+
+// CLDR plural category of a number: 'zero', 'one', 'two', 'few', 'many' or 'other'
+export function getPluralCategory(value, locale = DEFAULT_LOCALE) {
+  const rules = typeof Intl !== 'undefined' && Intl.PluralRules ? getPluralRules(locale) : null
+  if (!rules) return value === 1 ? 'one' : 'other'
+  return rules.select(value)
+}
+
+function formatNumber(value, locale) {
+  try {
+    return new Intl.NumberFormat(locale).format(value)
+  } catch (error) {
+    return String(value)
+  }
+}
+
+// Index of the `}` closing the `{` at `start`, or -1
+function findClosingBrace(text, start) {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') {
+      depth++
+    } else if (text[i] === '}') {
+      depth--
+      if (depth === 0) return i
+    }
+  }
+  return -1
+}
+
+// Parse `=0 {...} one {...} other {...}` into `{ '=0': '...', one: '...', other: '...' }`
+function parseBranches(text) {
+  const branches = {}
+  let index = 0
+
+  while (index < text.length) {
+    const open = text.indexOf('{', index)
+    const close = open === -1 ? -1 : findClosingBrace(text, open)
+    if (close === -1) break
+
+    branches[text.slice(index, open).trim()] = text.slice(open + 1, close)
+    index = close + 1
+  }
+
+  return branches
+}
+
+const hasParam = (params, name) => Object.prototype.hasOwnProperty.call(params, name)
+
+// Format one `{...}` argument; unknown params and types are left as written
+function formatArgument(argument, params, locale, pluralValue) {
+  const body = argument.slice(1, -1)
+  const firstComma = body.indexOf(',')
+
+  if (firstComma === -1) {
+    const name = body.trim()
+    return hasParam(params, name) ? String(params[name]) : argument
+  }
+
+  const name = body.slice(0, firstComma).trim()
+  const secondComma = body.indexOf(',', firstComma + 1)
+  if (secondComma === -1 || !hasParam(params, name)) return argument
+
+  const type = body.slice(firstComma + 1, secondComma).trim()
+  const branches = parseBranches(body.slice(secondComma + 1))
+
+  if (type === 'plural') {
+    const value = Number(params[name])
+    const category = getPluralCategory(value, locale)
+    const branch = branches[`=${value}`] ?? branches[category] ?? branches.other ?? ''
+    return formatMessage(branch, params, locale, value)
+  }
+
+  if (type === 'select') {
+    const branch = branches[String(params[name])] ?? branches.other ?? ''
+    return formatMessage(branch, params, locale, pluralValue)
+  }
+
+  return argument
+}
+
+// Resolve params, plural and select forms of a message
+export function formatMessage(message, params = {}, locale = DEFAULT_LOCALE, pluralValue) {
+  let result = ''
+  let index = 0
+
+  while (index < message.length) {
+    const char = message[index]
+
+    if (char === '{') {
+      const close = findClosingBrace(message, index)
+      if (close === -1) {
+        return result + message.slice(index)
+      }
+      result += formatArgument(message.slice(index, close + 1), params, locale, pluralValue)
+      index = close + 1
+    } else {
+      result += char === '#' && pluralValue !== undefined ? formatNumber(pluralValue, locale) : char
+      index++
+    }
+  }
+
+  return result
+}
+
 export class I18n {
+  // Add or extend a locale. Instances pick it up on creation or setLocale.
+  static registerLocale(code, messages = {}, { fallback, dir } = {}) {
+    const locale = normalizeLocale(code)
+    
+    LOCALES[locale] = { ...LOCALES[locale], ...messages }
+    if (fallback) {
+      LOCALE_FALLBACKS[locale] = normalizeLocale(fallback)
+    }
+    if (dir) {
+      LOCALE_DIRECTIONS[locale] = dir
+    }
+    return locale
+  }
+  
   constructor(locale = DEFAULT_LOCALE, customMessages = {}) {
     this.locale = locale
     this.messages = {
-      ...LOCALES[locale] || LOCALES[DEFAULT_LOCALE],
+      ...resolveMessages(locale),
       ...customMessages
     }
   }
   
+  // Text direction of the current locale, applied as `dir` by the components
+  get dir() {
+    return getLocaleDirection(this.locale)
+  }
+  
   t(key, params = {}) {
-    let message = this.messages[key] || key
-    
-    // Simple parameter replacement
-    Object.keys(params).forEach(param => {
-      const regex = new RegExp(`\\{${param}\\}`, 'g')
-      message = message.replace(regex, params[param])
-    })
+    const message = this.messages[key] || key
     
-    return message
+    return formatMessage(message, params, this.locale)
   }
   
   setLocale(locale, customMessages = {}) {
     this.locale = locale
     this.messages = {
-      ...LOCALES[locale] || LOCALES[DEFAULT_LOCALE],
+      ...resolveMessages(locale),
       ...customMessages
     }
   }
@@ -0,0 +1,101 @@
+// Cache of display labels fetched by an async `labelResolver(columnProp, values)`
+import { getValueKey } from './filterValues.js'
+
+export const LABEL_STATUS = {
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  FAILED: 'failed'
+}
+
+const entryId = (columnProp, value) => `${columnProp}\u0000${getValueKey(value)}`
+
+// A resolver may answer with labels in the order of `values`, or with an
+// object / Map keyed by value. Missing labels count as unresolved.
+export function normalizeResolvedLabels(values, result) {
+  const labels = {}
+
+  values.forEach((value, index) => {
+    let label
+    if (Array.isArray(result)) {
+      label = result[index]
+    } else if (result instanceof Map) {
+      label = result.has(value) ? result.get(value) : result.get(getValueKey(value))
+    } else if (result && typeof result === 'object') {
+      label = result[getValueKey(value)]
+    }
+
+    if (label !== undefined && label !== null && label !== '') {
+      labels[getValueKey(value)] = String(label)
+    }
+  })
+
+  return labels
+}
+
+export class LabelCache {
+  constructor() {
+    // Replaced rather than mutated so Vue picks up every change
+    this.entries = {}
+    this.generation = 0
+  }
+  
+  get(columnProp, value) {
+    return this.entries[entryId(columnProp, value)]
+  }
+  
+  // The resolved label, or undefined while pending, after a failure or when unknown
+  getLabel(columnProp, value) {
+    const entry = this.get(columnProp, value)
+    return entry && entry.status === LABEL_STATUS.RESOLVED ? entry.label : undefined
+  }
+  
+  isPending(columnProp, value) {
+    const entry = this.get(columnProp, value)
+    return !!entry && entry.status === LABEL_STATUS.PENDING
+  }
+  
+  // Values never requested; failures are not retried until the cache is cleared
+  missing(columnProp, values) {
+    return values.filter(value => !this.get(columnProp, value))
+  }
+  
+  // Fetch the labels of one column in a single resolver call. Always resolves,
+  // with `{ columnProp, values, labels, error }`, or null when the cache was
+  // cleared in the meantime.
+  resolve(columnProp, values, resolver) {
+    const generation = this.generation
+    this.update(columnProp, values, () => ({ status: LABEL_STATUS.PENDING }))
+    
+    return Promise.resolve()
+      .then(() => resolver(columnProp, values))
+      .then(result => ({ labels: normalizeResolvedLabels(values, result) }))
+      .catch(error => ({ labels: {}, error }))
+      .then(({ labels, error }) => {
+        if (generation !== this.generation) return null
+        
+        this.update(columnProp, values, value => {
+          const label = labels[getValueKey(value)]
+          return label === undefined
+            ? { status: LABEL_STATUS.FAILED }
+            : { status: LABEL_STATUS.RESOLVED, label }
+        })
+        
+        return error ? { columnProp, values, labels, error } : { columnProp, values, labels }
+      })
+  }
+  
+  update(columnProp, values, createEntry) {
+    const entries = { ...this.entries }
+    values.forEach(value => {
+      entries[entryId(columnProp, value)] = createEntry(value)
+    })
+    this.entries = entries
+  }
+  
+  clear() {
+    this.entries = {}
+    this.generation++
+  }
+}
+
+export default LabelCache
@@ -0,0 +1,46 @@
+// Screen-reader announcements through one shared, visually hidden aria-live region.
+// The region lives on document.body so it survives the component hiding itself
+// after the last filter is removed.
+export const LIVE_REGION_ID = 'active-filters-live-region'
+
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: '0'
+}
+
+let announceTimer = null
+
+export function getLiveRegion() {
+  if (typeof document === 'undefined') return null
+
+  let region = document.getElementById(LIVE_REGION_ID)
+  if (!region) {
+    region = document.createElement('div')
+    region.id = LIVE_REGION_ID
+    region.setAttribute('role', 'status')
+    region.setAttribute('aria-live', 'polite')
+    region.setAttribute('aria-atomic', 'true')
+    Object.assign(region.style, VISUALLY_HIDDEN)
+    document.body.appendChild(region)
+  }
+  return region
+}
+
+// The region is emptied first so repeating the same message is announced again
+export function announce(message, delay = 50) {
+  const region = getLiveRegion()
+  if (!region) return
+
+  clearTimeout(announceTimer)
+  region.textContent = ''
+  announceTimer = setTimeout(() => {
+    region.textContent = message
+  }, delay)
+}
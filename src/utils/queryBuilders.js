@@ -0,0 +1,476 @@
+// Serialize active filters into backend query formats, and parse REST params back.
+//
+// Every builder takes the same options:
+//   types:  { [columnProp]: 'string' | 'number' | 'boolean' | 'date' }, used to
+//           coerce values (e.g. '42' from a URL into 42)
+//   fields: { [columnProp]: 'backend_field' } when the backend names differ
+//
+// Column names come from URLs and other user input, so only plain identifiers
+// (`status`, `order.total`) are used as fields; other columns need a `fields` entry.
+//
+// Values of one column are OR-ed, columns are AND-ed. Ranges (`{ min, max }` or
+// `[start, end]`) become `>=` / `<=` comparisons; a blank bound is left out.
+// Exclude values (`neq`, `notIn`) are AND-ed with the rest of their column.
+import {
+  getColumnValues,
+  isRangeValue,
+  getRangeBounds,
+  OPERATORS,
+  getOperator,
+  getOperands
+} from './filterValues.js'
+
+export const COLUMN_TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date'
+}
+
+const isBlank = value => value === null || value === undefined || value === ''
+
+// Letters, digits and `_`, in dot-separated parts that do not start with a digit.
+// Rules out `$where`, `x eq 1 or true` and the like.
+const SAFE_FIELD_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/
+
+export function isSafeFieldName(name) {
+  return typeof name === 'string' && SAFE_FIELD_PATTERN.test(name)
+}
+
+const formatDate = value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value))
+
+// `2024-01-01`, optionally with a time and offset: `2024-01-01T10:30:00.000Z`
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/
+
+export function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value)
+}
+
+// Coerce one raw value to its column type. Unparseable values are kept as they are.
+export function coerceValue(value, type) {
+  if (isBlank(value)) return value
+
+  switch (type) {
+    case COLUMN_TYPES.NUMBER: {
+      if (typeof value === 'number') return value
+      const number = Number(value)
+      return String(value).trim() !== '' && Number.isFinite(number) ? number : value
+    }
+    case COLUMN_TYPES.BOOLEAN:
+      if (value === true || value === 'true' || value === '1' || value === 1) return true
+      if (value === false || value === 'false' || value === '0' || value === 0) return false
+      return value
+    case COLUMN_TYPES.DATE:
+      return formatDate(value)
+    case COLUMN_TYPES.STRING:
+      return String(value)
+    default:
+      return value instanceof Date ? formatDate(value) : value
+  }
+}
+
+// Flatten a filter object into one entry per non-empty column:
+// `{ columnProp, field, type, values, ranges, comparisons, excludes }`
+//   values      - `eq` values and `in` lists
+//   ranges      - ranges, plus `gte` / `lte` values as open-ended ranges
+//   comparisons - `{ operator, value }` for `contains`, `startsWith`, `gt` and `lt`
+//   excludes    - `neq` values and `notIn` lists
+export function collectConditions(filters, { types = {}, fields = {} } = {}) {
+  const conditions = []
+
+  Object.keys(filters || {}).forEach(columnProp => {
+    // A `fields` entry is the app's own name and is used as given
+    const field = Object.prototype.hasOwnProperty.call(fields, columnProp) ? fields[columnProp] : columnProp
+    if (field === columnProp && !isSafeFieldName(columnProp)) {
+      console.warn(`[queryBuilders] Column "${columnProp}" is not a plain identifier and was skipped; map it in \`fields\` to query it`)
+      return
+    }
+
+    const type = types[columnProp]
+    const values = []
+    const ranges = []
+    const comparisons = []
+    const excludes = []
+
+    const addRange = (min, max) => {
+      if (isBlank(min) && isBlank(max)) return
+      ranges.push({
+        min: isBlank(min) ? null : coerceValue(min, type),
+        max: isBlank(max) ? null : coerceValue(max, type)
+      })
+    }
+
+    getColumnValues(filters[columnProp]).forEach(value => {
+      if (isRangeValue(value)) {
+        const { min, max } = getRangeBounds(value)
+        addRange(min, max)
+        return
+      }
+
+      const operator = getOperator(value)
+      const operands = getOperands(value).filter(operand => !isBlank(operand)).map(operand => coerceValue(operand, type))
+
+      switch (operator) {
+        case OPERATORS.GTE:
+          operands.forEach(operand => addRange(operand, null))
+          break
+        case OPERATORS.LTE:
+          operands.forEach(operand => addRange(null, operand))
+          break
+        case OPERATORS.NEQ:
+        case OPERATORS.NOT_IN:
+          excludes.push(...operands)
+          break
+        case OPERATORS.CONTAINS:
+        case OPERATORS.STARTS_WITH:
+        case OPERATORS.GT:
+        case OPERATORS.LT:
+          operands.forEach(operand => comparisons.push({ operator, value: operand }))
+          break
+        default:
+          values.push(...operands)
+      }
+    })
+
+    if (values.length > 0 || ranges.length > 0 || comparisons.length > 0 || excludes.length > 0) {
+      conditions.push({ columnProp, field, type, values, ranges, comparisons, excludes })
+    }
+  })
+
+  return conditions
+}
+
+// REST
+
+// Flat query params: `status=a&status=b&price[gte]=10&price[lte]=50`. Other
+// operators use their name, e.g. `status[neq]=archived` or `name[contains]=x`.
+// Flat params hold one range per column; further ranges are dropped.
+export function toRestParams(filters, options = {}) {
+  const { prefix = '' } = options
+  const params = {}
+
+  const add = (key, values) => {
+    const strings = values.map(String)
+    params[key] = strings.length === 1 ? strings[0] : strings
+  }
+
+  collectConditions(filters, options).forEach(({ field, values, ranges, comparisons, excludes }) => {
+    const key = `${prefix}${field}`
+
+    if (values.length > 0) add(key, values)
+
+    if (ranges.length > 0) {
+      if (ranges.length > 1) {
+        console.warn(`[queryBuilders] Only the first range of "${field}" fits into REST params`)
+      }
+      const { min, max } = ranges[0]
+      if (min !== null) params[`${key}[gte]`] = String(min)
+      if (max !== null) params[`${key}[lte]`] = String(max)
+    }
+
+    const byOperator = {}
+    comparisons.forEach(({ operator, value }) => {
+      byOperator[operator] = (byOperator[operator] || []).concat([value])
+    })
+    Object.keys(byOperator).forEach(operator => add(`${key}[${operator}]`, byOperator[operator]))
+
+    if (excludes.length > 0) {
+      add(`${key}[${excludes.length === 1 ? OPERATORS.NEQ : OPERATORS.NOT_IN}]`, excludes)
+    }
+  })
+
+  return params
+}
+
+const OPERATOR_PARAM_PATTERN = /^(.*)\[(\w+)\]$/
+
+const PARAM_OPERATORS = Object.values(OPERATORS).filter(operator => operator !== OPERATORS.EQ)
+
+// Read params written by toRestParams back into a filter object. Only prefixed
+// params are read, or only the given `columns` when set. Without a type hint
+// values stay strings, since query params carry no type information.
+export function parseRestParams(params, options = {}) {
+  const { prefix = '', types = {}, fields = {}, columns } = options
+  const columnByField = {}
+  Object.keys(fields).forEach(columnProp => {
+    columnByField[fields[columnProp]] = columnProp
+  })
+
+  const filters = {}
+  const rangesByColumn = {}
+  const add = (columnProp, values) => {
+    filters[columnProp] = (filters[columnProp] || []).concat(values)
+  }
+
+  Object.keys(params || {}).forEach(param => {
+    if (!param.startsWith(prefix)) return
+
+    const name = param.slice(prefix.length)
+    const match = name.match(OPERATOR_PARAM_PATTERN)
+    const operator = match && PARAM_OPERATORS.includes(match[2]) ? match[2] : null
+    const field = operator ? match[1] : name
+    const columnProp = columnByField[field] || field
+    if (!columnProp || (Array.isArray(columns) && !columns.includes(columnProp))) return
+
+    const raw = params[param]
+    const type = types[columnProp]
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .filter(value => !isBlank(value))
+      .map(value => coerceValue(value, type))
+    if (values.length === 0) return
+
+    switch (operator) {
+      case null:
+      case OPERATORS.IN:
+        add(columnProp, values)
+        break
+      case OPERATORS.GTE:
+      case OPERATORS.LTE: {
+        const range = rangesByColumn[columnProp] || (rangesByColumn[columnProp] = { min: null, max: null })
+        range[operator === OPERATORS.GTE ? 'min' : 'max'] = values[0]
+        break
+      }
+      case OPERATORS.NOT_IN:
+        add(columnProp, [{ operator, value: values }])
+        break
+      default:
+        add(columnProp, values.map(value => ({ operator, value })))
+    }
+  })
+
+  Object.keys(rangesByColumn).forEach(columnProp => {
+    add(columnProp, [rangesByColumn[columnProp]])
+  })
+
+  return filters
+}
+
+// Elasticsearch
+
+const toRangeBounds = ({ min, max }, gte = 'gte', lte = 'lte') => {
+  const bounds = {}
+  if (min !== null) bounds[gte] = min
+  if (max !== null) bounds[lte] = max
+  return bounds
+}
+
+const escapeWildcard = value => String(value).replace(/[\\*?]/g, '\\$&')
+
+const toTermsClause = (field, values) => (values.length === 1
+  ? { term: { [field]: values[0] } }
+  : { terms: { [field]: values } })
+
+const toElasticsearchComparison = (field, { operator, value }) => {
+  switch (operator) {
+    case OPERATORS.CONTAINS:
+      return { wildcard: { [field]: { value: `*${escapeWildcard(value)}*` } } }
+    case OPERATORS.STARTS_WITH:
+      return { prefix: { [field]: value } }
+    default:
+      return { range: { [field]: { [operator]: value } } }
+  }
+}
+
+// A `bool` query with one `filter` clause per column
+export function toElasticsearchQuery(filters, options = {}) {
+  const filter = collectConditions(filters, options).map(({ field, values, ranges, comparisons, excludes }) => {
+    const clauses = []
+    if (values.length > 0) clauses.push(toTermsClause(field, values))
+    ranges.forEach(range => {
+      clauses.push({ range: { [field]: toRangeBounds(range) } })
+    })
+    comparisons.forEach(comparison => {
+      clauses.push(toElasticsearchComparison(field, comparison))
+    })
+
+    const include = clauses.length > 1
+      ? { bool: { should: clauses, minimum_should_match: 1 } }
+      : clauses[0]
+    if (excludes.length === 0) return include
+
+    const mustNot = [toTermsClause(field, excludes)]
+    return include
+      ? { bool: { filter: [include], must_not: mustNot } }
+      : { bool: { must_not: mustNot } }
+  })
+
+  return { bool: { filter } }
+}
+
+// SQL
+
+// ANSI double quotes; pass `quoteIdentifier` for e.g. MySQL backticks
+export function quoteSqlIdentifier(name) {
+  return String(name)
+    .split('.')
+    .map(part => `"${part.replace(/"/g, '""')}"`)
+    .join('.')
+}
+
+const createPlaceholder = placeholder => {
+  if (typeof placeholder === 'function') return placeholder
+  if (placeholder === '$') return index => `$${index}`
+  return () => '?'
+}
+
+// `!` rather than a backslash, whose escaping differs between dialects
+const LIKE_ESCAPE = '!'
+
+const escapeLike = value => String(value).replace(/[!%_]/g, `${LIKE_ESCAPE}$&`)
+
+const SQL_COMPARISONS = {
+  [OPERATORS.GT]: '>',
+  [OPERATORS.LT]: '<'
+}
+
+// A parameterized `WHERE` clause. Values only ever appear in `params`; the
+// clause holds identifiers and placeholders (`?`, or `$1, $2, ...` with
+// `placeholder: '$'`). The clause is empty when no filter is active.
+export function toSqlWhere(filters, options = {}) {
+  const { placeholder = '?', quoteIdentifier = quoteSqlIdentifier } = options
+  const nextPlaceholder = createPlaceholder(placeholder)
+  const params = []
+
+  const bind = value => {
+    params.push(value)
+    return nextPlaceholder(params.length)
+  }
+
+  const conditions = []
+  collectConditions(filters, options).forEach(({ field, values, ranges, comparisons, excludes }) => {
+    const column = quoteIdentifier(field)
+    const parts = []
+
+    if (values.length === 1) parts.push(`${column} = ${bind(values[0])}`)
+    if (values.length > 1) parts.push(`${column} IN (${values.map(bind).join(', ')})`)
+    ranges.forEach(({ min, max }) => {
+      const bounds = []
+      if (min !== null) bounds.push(`${column} >= ${bind(min)}`)
+      if (max !== null) bounds.push(`${column} <= ${bind(max)}`)
+      parts.push(bounds.length > 1 ? `(${bounds.join(' AND ')})` : bounds[0])
+    })
+    comparisons.forEach(({ operator, value }) => {
+      if (operator === OPERATORS.CONTAINS || operator === OPERATORS.STARTS_WITH) {
+        const pattern = `${operator === OPERATORS.CONTAINS ? '%' : ''}${escapeLike(value)}%`
+        parts.push(`${column} LIKE ${bind(pattern)} ESCAPE '${LIKE_ESCAPE}'`)
+      } else {
+        parts.push(`${column} ${SQL_COMPARISONS[operator]} ${bind(value)}`)
+      }
+    })
+
+    if (parts.length > 0) {
+      conditions.push(parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0])
+    }
+    if (excludes.length === 1) conditions.push(`${column} <> ${bind(excludes[0])}`)
+    if (excludes.length > 1) conditions.push(`${column} NOT IN (${excludes.map(bind).join(', ')})`)
+  })
+
+  return {
+    clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  }
+}
+
+// OData
+
+const formatODataLiteral = (value, type) => {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  // Date literals are unquoted in OData v4, see isODataLiteral
+  if (type === COLUMN_TYPES.DATE) return String(value)
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+// Unquoted date literals would otherwise carry expression syntax
+// (`2024-01-01 or true eq true`), so only ISO dates are kept
+const isODataLiteral = (value, type, field) => {
+  if (type !== COLUMN_TYPES.DATE || value === null || isIsoDate(value)) return true
+  console.warn(`[queryBuilders] "${value}" is not an ISO date and was left out of the OData filter on "${field}"`)
+  return false
+}
+
+const ODATA_FUNCTIONS = {
+  [OPERATORS.CONTAINS]: 'contains',
+  [OPERATORS.STARTS_WITH]: 'startswith'
+}
+
+// An OData `$filter` expression, e.g. `(status eq 'a' or status eq 'b') and price ge 10`
+export function toODataFilter(filters, options = {}) {
+  const conditions = []
+  collectConditions(filters, options).forEach(({ field, type, values, ranges, comparisons, excludes }) => {
+    const literal = value => formatODataLiteral(value, type)
+    const isValid = value => isODataLiteral(value, type, field)
+    const parts = values.filter(isValid).map(value => `${field} eq ${literal(value)}`)
+    ranges.filter(({ min, max }) => isValid(min) && isValid(max)).forEach(({ min, max }) => {
+      const bounds = []
+      if (min !== null) bounds.push(`${field} ge ${literal(min)}`)
+      if (max !== null) bounds.push(`${field} le ${literal(max)}`)
+      parts.push(bounds.length > 1 ? `(${bounds.join(' and ')})` : bounds[0])
+    })
+    comparisons.filter(({ value }) => isValid(value)).forEach(({ operator, value }) => {
+      parts.push(ODATA_FUNCTIONS[operator]
+        ? `${ODATA_FUNCTIONS[operator]}(${field}, ${literal(value)})`
+        : `${field} ${operator} ${literal(value)}`)
+    })
+
+    if (parts.length > 0) {
+      conditions.push(parts.length > 1 ? `(${parts.join(' or ')})` : parts[0])
+    }
+    excludes.filter(isValid).forEach(value => {
+      conditions.push(`${field} ne ${literal(value)}`)
+    })
+  })
+
+  return conditions.join(' and ')
+}
+
+// MongoDB
+
+// Mongo compares dates as Date objects
+const toMongoValue = (value, type) => (type === COLUMN_TYPES.DATE ? new Date(value) : value)
+
+const escapeRegExp = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const toMongoComparison = ({ operator, value }, type) => {
+  switch (operator) {
+    case OPERATORS.CONTAINS:
+      return { $regex: escapeRegExp(value) }
+    case OPERATORS.STARTS_WITH:
+      return { $regex: `^${escapeRegExp(value)}` }
+    default:
+      return { [`$${operator}`]: toMongoValue(value, type) }
+  }
+}
+
+// A MongoDB filter document. Columns needing `$or`, or more than one clause on
+// a field, are combined with `$and`.
+export function toMongoQuery(filters, options = {}) {
+  const clauses = []
+  collectConditions(filters, options).forEach(({ field, type, values, ranges, comparisons, excludes }) => {
+    const mongoValues = list => list.map(value => toMongoValue(value, type))
+    const parts = []
+    if (values.length === 1) parts.push({ [field]: toMongoValue(values[0], type) })
+    if (values.length > 1) parts.push({ [field]: { $in: mongoValues(values) } })
+    ranges.forEach(range => {
+      const bounds = toRangeBounds(range, '$gte', '$lte')
+      Object.keys(bounds).forEach(key => {
+        bounds[key] = toMongoValue(bounds[key], type)
+      })
+      parts.push({ [field]: bounds })
+    })
+    comparisons.forEach(comparison => {
+      parts.push({ [field]: toMongoComparison(comparison, type) })
+    })
+
+    if (parts.length > 0) {
+      clauses.push(parts.length === 1 ? parts[0] : { $or: parts })
+    }
+    if (excludes.length === 1) clauses.push({ [field]: { $ne: toMongoValue(excludes[0], type) } })
+    if (excludes.length > 1) clauses.push({ [field]: { $nin: mongoValues(excludes) } })
+  })
+
+  const keys = clauses.map(clause => Object.keys(clause)[0])
+  if (keys.includes('$or') || new Set(keys).size !== keys.length) {
+    return clauses.length === 1 ? clauses[0] : { $and: clauses }
+  }
+  return Object.assign({}, ...clauses)
+}
@@ -0,0 +1,190 @@
+// Two-way mapping between active filters and URL query params
+import {
+  getColumnValues,
+  getValueKey,
+  isRangeValue,
+  getRangeBounds,
+  isOperatorValue,
+  getOperands,
+  OPERATORS,
+  OPERATOR_SEPARATOR
+} from './filterValues.js'
+
+export const URL_ENCODINGS = {
+  // ?filter_status=active&filter_status=pending
+  REPEAT: 'repeat',
+  // ?filter_status=active,pending
+  COMMA: 'comma'
+}
+
+export const DEFAULT_URL_OPTIONS = {
+  prefix: 'filter_',
+  encoding: URL_ENCODINGS.REPEAT
+}
+
+const RANGE_SEPARATOR = '..'
+
+const resolveOptions = options => ({ ...DEFAULT_URL_OPTIONS, ...options })
+
+const toArray = value => {
+  if (value === null || value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+const isBlank = value => value === null || value === undefined || value === ''
+
+// Values are escaped with `~` rather than percent-encoding, which vue-router
+// would encode a second time. `~` is unreserved, so URLs keep it as it is.
+const ESCAPE = '~'
+
+// `~` before `~` and each of the given characters
+const escapeChars = (value, chars) => value.replace(new RegExp(`[~${chars}]`, 'g'), `${ESCAPE}$&`)
+
+const unescapeText = value => value.replace(/~(.)/g, '$1')
+
+// Split at the separators that are not escaped; the parts stay escaped
+function splitUnescaped(raw, separator) {
+  const parts = []
+  let start = 0
+  for (let index = 0; index < raw.length; index++) {
+    if (raw[index] === ESCAPE) {
+      index++
+    } else if (raw.startsWith(separator, index)) {
+      parts.push(raw.slice(start, index))
+      index += separator.length - 1
+      start = index + 1
+    }
+  }
+  parts.push(raw.slice(start))
+  return parts
+}
+
+// Plain text is escaped where it could read as syntax: `:`, `,`, and dots in a
+// run of dots or at either end. So `a..b` or `neq:x` typed by a user stays
+// text, while `10.5` keeps its dot.
+const escapeText = value => escapeChars(getValueKey(value), ':,')
+  .replace(/\.{2,}|^\.|\.$/g, dots => dots.replace(/\./g, `${ESCAPE}.`))
+
+const LIST_OPERATORS = [OPERATORS.IN, OPERATORS.NOT_IN]
+
+// Ranges are written as `min..max` and operator values as `neq:archived` or
+// `in:a,b`; their parts, and plain values, are escaped with escapeText
+function encodeValue(value) {
+  if (isOperatorValue(value)) {
+    if (value.operator === OPERATORS.EQ) return encodeValue(value.value)
+    return `${value.operator}${OPERATOR_SEPARATOR}${getOperands(value).map(escapeText).join(',')}`
+  }
+  if (isRangeValue(value)) {
+    const { min, max } = getRangeBounds(value)
+    return `${isBlank(min) ? '' : escapeText(min)}${RANGE_SEPARATOR}${isBlank(max) ? '' : escapeText(max)}`
+  }
+  return escapeText(value)
+}
+
+// An unescaped `:` only follows an operator name. Unknown names are kept as text,
+// as in URLs written before values were escaped.
+function decodeOperatorValue(raw) {
+  const [operator, ...rest] = splitUnescaped(raw, OPERATOR_SEPARATOR)
+  if (rest.length === 0) return null
+  if (operator === OPERATORS.EQ || !Object.values(OPERATORS).includes(operator)) return null
+
+  const operand = raw.slice(operator.length + OPERATOR_SEPARATOR.length)
+  return {
+    operator,
+    value: LIST_OPERATORS.includes(operator)
+      ? splitUnescaped(operand, ',').map(unescapeText)
+      : unescapeText(operand)
+  }
+}
+
+// An unescaped `..` only separates range bounds
+function decodeValue(raw) {
+  const operatorValue = decodeOperatorValue(raw)
+  if (operatorValue) return operatorValue
+
+  const parts = splitUnescaped(raw, RANGE_SEPARATOR)
+  if (parts.length !== 2 || raw === RANGE_SEPARATOR) return unescapeText(raw)
+
+  const [min, max] = parts
+  return {
+    min: min === '' ? null : unescapeText(min),
+    max: max === '' ? null : unescapeText(max)
+  }
+}
+
+// Encode a filter object into query params, one param per column
+export function encodeFilters(filters, options = {}) {
+  const { prefix, encoding } = resolveOptions(options)
+  const query = {}
+
+  Object.keys(filters || {}).forEach(columnProp => {
+    const values = getColumnValues(filters[columnProp]).map(encodeValue)
+    if (values.length === 0) return
+
+    query[`${prefix}${columnProp}`] = encoding === URL_ENCODINGS.COMMA
+      // Commas inside values are escaped once more by the join
+      ? values.map(value => escapeChars(value, ',')).join(',')
+      : values
+  })
+
+  return query
+}
+
+// Decode the prefixed params of a query back into a filter object.
+// Values come back as strings since the URL carries no type information.
+export function decodeFilters(query, options = {}) {
+  const { prefix, encoding } = resolveOptions(options)
+  const filters = {}
+
+  Object.keys(query || {}).forEach(param => {
+    if (!param.startsWith(prefix)) return
+
+    let values = toArray(query[param]).filter(value => value !== null && value !== '')
+    if (encoding === URL_ENCODINGS.COMMA) {
+      values = values.reduce((all, value) => all.concat(splitUnescaped(value, ',').map(unescapeText)), [])
+    }
+
+    if (values.length > 0) {
+      filters[param.slice(prefix.length)] = values.map(decodeValue)
+    }
+  })
+
+  return filters
+}
+
+// Pick only the params owned by the filter sync
+export function pickFilterParams(query, options = {}) {
+  const { prefix } = resolveOptions(options)
+  const picked = {}
+  Object.keys(query || {}).forEach(param => {
+    if (param.startsWith(prefix)) picked[param] = query[param]
+  })
+  return picked
+}
+
+// Replace the filter params of a query, leaving unrelated params untouched
+export function mergeFiltersIntoQuery(query, filters, options = {}) {
+  const { prefix } = resolveOptions(options)
+  const merged = {}
+  Object.keys(query || {}).forEach(param => {
+    if (!param.startsWith(prefix)) merged[param] = query[param]
+  })
+  return {
+    ...merged,
+    ...encodeFilters(filters, options)
+  }
+}
+
+// Compare two queries, treating `'a'` and `['a']` as equal
+export function isSameQuery(a = {}, b = {}) {
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+
+  return keysA.every(key => {
+    const valuesA = toArray(a[key]).map(String)
+    const valuesB = toArray(b[key]).map(String)
+    return valuesA.length === valuesB.length &&
+      valuesA.every((value, index) => value === valuesB[index])
+  })
+}
@@ -0,0 +1,61 @@
+// Uses the host app's vue-i18n translations under a key prefix, falling back to
+// the bundled messages for keys the app does not define
+import { I18n, DEFAULT_LOCALE, getLocaleDirection } from './i18n.js'
+
+export const DEFAULT_KEY_PREFIX = 'activeFilters'
+
+// True when vue-i18n is installed on the component
+export function hasVueI18n(vm) {
+  return !!vm && !!vm.$i18n && typeof vm.$t === 'function' && typeof vm.$te === 'function'
+}
+
+export class VueI18nAdapter {
+  constructor(vm, prefix = DEFAULT_KEY_PREFIX, customMessages = {}) {
+    this.vm = vm
+    this.prefix = prefix
+    this.customMessages = { ...customMessages }
+    this.fallback = new I18n(this.locale, this.customMessages)
+  }
+  
+  // Follows the locale of vue-i18n
+  get locale() {
+    return (this.vm.$i18n && this.vm.$i18n.locale) || DEFAULT_LOCALE
+  }
+  
+  get dir() {
+    return getLocaleDirection(this.locale)
+  }
+  
+  getPath(key) {
+    return this.prefix ? `${this.prefix}.${key}` : key
+  }
+  
+  t(key, params = {}) {
+    const path = this.getPath(key)
+    
+    if (this.vm.$te(path)) {
+      // $tc picks vue-i18n's `singular | plural` forms
+      return typeof params.count === 'number' && typeof this.vm.$tc === 'function'
+        ? this.vm.$tc(path, params.count, params)
+        : this.vm.$t(path, params)
+    }
+    
+    if (this.fallback.locale !== this.locale) {
+      this.fallback.setLocale(this.locale, this.customMessages)
+    }
+    return this.fallback.t(key, params)
+  }
+  
+  // The locale comes from vue-i18n; only custom messages are taken
+  setLocale(locale, customMessages = {}) {
+    this.customMessages = { ...customMessages }
+    this.fallback.setLocale(this.locale, this.customMessages)
+  }
+  
+  addMessages(messages) {
+    this.customMessages = { ...this.customMessages, ...messages }
+    this.fallback.addMessages(messages)
+  }
+}
+
+export default VueI18nAdapter
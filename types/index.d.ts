@@ -1,39 +1,263 @@
 import Vue from 'vue'
 
 export interface ActiveFiltersData {
-  [key: string]: FilterValue[]
+  /** A list of values, or a bare `{ min, max }` range counted as one value */
+  [key: string]: FilterValue[] | FilterRangeObject
 }
 
 export interface FilterLabels {
   [key: string]: string
 }
 
+export interface FilterOption {
+  value: FilterValue
+  label: string
+}
+
+/** Maps a raw filter value to its display text; returning null/undefined falls back to the options lookup */
+export type ValueFormatter = (value: FilterValue, columnProp: string) => string | number | null | undefined
+
+export interface ValueFormatters {
+  [key: string]: ValueFormatter
+}
+
+export interface FilterOptionsMap {
+  [key: string]: FilterOption[]
+}
+
 export interface CustomMessages {
   [key: string]: string
 }
 
+export interface FilterTag {
+  /** Unique key of the tag, built from the column and the value */
+  key: string
+  columnProp: string
+  value: FilterValue
+}
+
+/** All tags of one column, rendered as a single chip in grouped mode */
+export interface FilterGroup {
+  /** The column prop, used as the chip key */
+  key: string
+  columnProp: string
+  tags: FilterTag[]
+}
+
+export type DisplayMode = 'tags' | 'grouped'
+
+export type Theme = 'light' | 'dark' | 'plain'
+export type ComponentSize = 'mini' | 'small' | 'medium'
+
+/** el-tag appearance of one column's chips */
+export interface TagStyle {
+  type?: '' | 'success' | 'info' | 'warning' | 'danger'
+  effect?: 'light' | 'dark' | 'plain'
+}
+
+export interface TagStyles {
+  [columnProp: string]: TagStyle
+}
+
+export interface ColumnClearEvent {
+  columnProp: string
+  values: FilterValue[]
+}
+
+/** Payload of `clear-all`; `FILTERS_CLEARED` also carries `source` */
+export interface FiltersClearedEvent {
+  /** The values Clear All removed */
+  cleared: ActiveFiltersData
+  /** The locked values it kept */
+  kept: ActiveFiltersData
+}
+
+/** Locked columns, or `{ columnProp: true }` for a whole column and `{ columnProp: [values] }` for single values */
+export type LockedFilters = string[] | { [columnProp: string]: boolean | FilterValue[] }
+
 export interface FilterRemoveEvent {
   columnProp: string
   value: FilterValue
+  /** Operator of the removed value; `eq` for plain values */
+  operator: FilterOperator
+}
+
+export type RestoreAction = 'undo' | 'redo'
+
+export interface FiltersRestoredEvent {
+  /** The filter state to re-apply */
+  filters: ActiveFiltersData
+  action: RestoreAction
+}
+
+/**
+ * Payload contract of FILTER_CHANGED. `values` holds the column's complete
+ * list of values after the change when known; single-value edits also carry
+ * `oldValue` and `newValue`.
+ */
+export interface FilterChangedEvent {
+  columnProp: string
+  values?: FilterValue[]
+  oldValue?: FilterValue
+  newValue?: FilterValue
+  /** Operator of `newValue`, for single-value edits */
+  operator?: FilterOperator
+  source?: string
+  /** What caused the change, e.g. 'edit', 'exclude' or 'url' */
+  trigger?: string
+}
+
+export interface FilterUpdateEvent {
+  columnProp: string
+  oldValue: FilterValue
+  newValue: FilterValue
+  operator: FilterOperator
+  /** The column's values after the edit */
+  values: FilterValue[]
+}
+
+/** Payload of `toggle-filter`; `FILTER_TOGGLED` also carries `operator` and `source` */
+export interface ToggleFilterEvent {
+  columnProp: string
+  value: FilterValue
+  /** False when the filter was suspended, true when it was resumed */
+  enabled: boolean
+  /** The filters without the suspended values, after the toggle */
+  filters: ActiveFiltersData
+}
+
+/** Payload of `toggle-exclude` */
+export interface ToggleExcludeEvent {
+  columnProp: string
+  oldValue: FilterValue
+  newValue: FilterValue
+  operator: FilterOperator
+}
+
+/** Props passed to the `tag` and `tag-<columnProp>` scoped slots */
+export interface TagSlotProps {
+  tag: FilterTag
+  columnProp: string
+  value: FilterValue
+  /** Display label of the column */
+  label: string
+  /** Display text of the value (without its operator) */
+  valueLabel: string
+  operator: FilterOperator
+  /** True for `neq` and `notIn` values */
+  excluded: boolean
+  /** True when lockedFilters locks the value; `remove` does nothing */
+  locked: boolean
+  /** Full `Label: value` or `Label ≠ value` text of the tag */
+  text: string
+  /** True while labelResolver is fetching the value's label */
+  loading: boolean
+  /** Removes this filter, like closing the tag */
+  remove(): void
+  /** Switches the filter between include and exclude */
+  toggleExclude(): void
+  /** True while the filter is suspended */
+  suspended: boolean
+  /** Suspends or resumes the filter */
+  toggleSuspended(): void
+  /** Number of records matching the value, when facet counts are known */
+  count?: number
+  /** Locale-formatted count, e.g. `(1,204)`; empty without a count */
+  countText: string
+  /** True when no records match the value */
+  stale: boolean
+}
+
+/** Props passed to the `header`, `count` and `clear-all` scoped slots */
+export interface HeaderSlotProps {
+  /** Number of active (not suspended) filters */
+  count: number
+  suspendedCount: number
+  /** The filters without the suspended values */
+  effectiveFilters: ActiveFiltersData
+  hasActiveFilters: boolean
+  /** False when every active filter is locked */
+  hasClearableFilters: boolean
+  /** True while results are refreshing */
+  loading: boolean
+  clearAll(): void
 }
 
 export interface EventBusData {
   columnProp?: string
   value?: FilterValue
+  operator?: FilterOperator
   source?: string
   [key: string]: any
 }
 
 // Utility types for better type safety
-export type FilterValue = string | number
+export type FilterScalar = string | number
+export type FilterRangeBound = FilterScalar | Date | null | undefined
+
+/** Range value such as `{ min: 10, max: 50 }`; omit a bound for an open-ended range */
+export interface FilterRangeObject {
+  min?: FilterRangeBound
+  max?: FilterRangeBound
+}
+
+/** Range value such as `['2026-01-01', '2026-03-31']` */
+export type FilterRangeTuple = [FilterRangeBound, FilterRangeBound]
+
+export type FilterRange = FilterRangeObject | FilterRangeTuple
+
+export type FilterOperator = 'eq' | 'neq' | 'contains' | 'startsWith' | 'gt' | 'gte' | 'lt' | 'lte' | 'in' | 'notIn'
+
+/** Value with an operator such as `{ operator: 'neq', value: 'archived' }`; `in` / `notIn` take an array */
+export interface FilterOperatorValue {
+  operator: FilterOperator
+  value: FilterScalar | FilterScalar[]
+}
+
+export type FilterValue = FilterScalar | FilterRange | FilterOperatorValue
 export type FilterKey = string
 
+export declare const OPERATORS: {
+  readonly EQ: 'eq'
+  readonly NEQ: 'neq'
+  readonly CONTAINS: 'contains'
+  readonly STARTS_WITH: 'startsWith'
+  readonly GT: 'gt'
+  readonly GTE: 'gte'
+  readonly LT: 'lt'
+  readonly LTE: 'lte'
+  readonly IN: 'in'
+  readonly NOT_IN: 'notIn'
+}
+
+/** Include / exclude pairs switched by the chip toggle */
+export declare const EXCLUDE_OPERATORS: { [operator in 'eq' | 'neq' | 'in' | 'notIn']: FilterOperator }
+
+export declare function isOperatorValue(value: any): value is FilterOperatorValue
+/** `eq` for plain values */
+export declare function getOperator(value: FilterValue): FilterOperator
+export declare function getOperand(value: FilterValue): FilterValue | FilterScalar[]
+/** The plain values behind a value; ranges have none */
+export declare function getOperands(value: FilterValue): FilterScalar[]
+/** `eq` returns the plain operand */
+export declare function createOperatorValue(operator: FilterOperator, operand: FilterScalar | FilterScalar[]): FilterValue
+export declare function isExcludeValue(value: FilterValue): boolean
+/** The value switched between include and exclude, or null when it has no counterpart */
+export declare function toggleExclude(value: FilterValue): FilterValue | null
+export declare function isLockedValue(lockedFilters: LockedFilters | null | undefined, columnProp: string, value: FilterValue): boolean
+export declare function splitLockedFilters(filters: ActiveFiltersData, lockedFilters: LockedFilters | null | undefined): FiltersClearedEvent
+
 // Event types for EventBus communication
 export declare const EVENTS: {
   readonly FILTER_CHANGED: 'FILTER_CHANGED'
   readonly FILTER_REMOVED: 'FILTER_REMOVED'
   readonly FILTERS_CLEARED: 'FILTERS_CLEARED'
+  readonly COLUMN_CLEARED: 'COLUMN_CLEARED'
   readonly FILTER_APPLIED: 'FILTER_APPLIED'
+  readonly FILTERS_RESTORED: 'FILTERS_RESTORED'
+  readonly FILTER_TOGGLED: 'FILTER_TOGGLED'
+  readonly FILTERS_BATCH_CHANGED: 'FILTERS_BATCH_CHANGED'
+  readonly PRESET_APPLIED: 'PRESET_APPLIED'
   readonly DROPDOWN_OPENED: 'DROPDOWN_OPENED'
   readonly DROPDOWN_CLOSED: 'DROPDOWN_CLOSED'
   readonly DATA_LOADING: 'DATA_LOADING'
@@ -42,10 +266,77 @@ export declare const EVENTS: {
 
 export type EventType = typeof EVENTS[keyof typeof EVENTS]
 
+// URL sync related types
+/** `repeat` writes `?f_a=1&f_a=2`, `comma` writes `?f_a=1,2` */
+export type UrlEncoding = 'repeat' | 'comma'
+
+export interface UrlSyncOptions {
+  /** Prefix of the query params owned by the filter sync */
+  prefix?: string
+  encoding?: UrlEncoding
+}
+
+export interface FilterQuery {
+  [param: string]: string | (string | null)[] | null | undefined
+}
+
 // I18n related types
 export interface I18nMessages {
   filterCount: string
   clearAll: string
+  undo: string
+  redo: string
+  filterRemoved: string
+  filtersCleared: string
+  columnCleared: string
+  filterUpdated: string
+  applyEdit: string
+  cancelEdit: string
+  presets: string
+  presetNamePlaceholder: string
+  savePreset: string
+  renamePreset: string
+  deletePreset: string
+  noPresets: string
+  moreFilters: string
+  moreFiltersSuspended: string
+  showLess: string
+  showAll: string
+  moreValues: string
+  resolvingLabel: string
+  activeFilters: string
+  chipAriaLabel: string
+  filterRemovedAnnouncement: string
+  columnClearedAnnouncement: string
+  operatorNeq: string
+  operatorContains: string
+  operatorStartsWith: string
+  operatorGt: string
+  operatorGte: string
+  operatorLt: string
+  operatorLte: string
+  operatorIn: string
+  operatorNotIn: string
+  excludeFilter: string
+  includeFilter: string
+  lockedFilter: string
+  lockedChipAriaLabel: string
+  filtersClearedKept: string
+  filterCountSuspended: string
+  disableFilter: string
+  enableFilter: string
+  filterSuspendedAnnouncement: string
+  filterResumedAnnouncement: string
+  facetCount: string
+  staleFilter: string
+  loadingResults: string
+  filtersRemoved: string
+  filterQueuedAnnouncement: string
+  filtersRemovedAnnouncement: string
+  selectPlaceholder: string
+  loadingOptions: string
+  noMatchingOptions: string
+  noOptions: string
   [key: string]: string
 }
 
@@ -53,6 +344,333 @@ export interface LocaleConfig {
   [locale: string]: I18nMessages
 }
 
+export type TextDirection = 'ltr' | 'rtl'
+
+export interface RegisterLocaleOptions {
+  /** Locale used for missing messages, e.g. `zh-TW` for `zh-HK` */
+  fallback?: string
+  /** Text direction; defaults to `rtl` for Arabic, Hebrew, Persian, Urdu, ... */
+  dir?: TextDirection
+}
+
+export declare const DEFAULT_LOCALE: string
+export declare const LOCALES: LocaleConfig
+/** Explicit fallbacks applied before stripping region subtags */
+export declare const LOCALE_FALLBACKS: { [locale: string]: string }
+export declare const RTL_LANGUAGES: string[]
+export declare const LOCALE_DIRECTIONS: { [locale: string]: TextDirection }
+/** Canonical form of a locale tag, e.g. `zh_hk` -> `zh-HK` */
+export declare function normalizeLocale(locale: string): string
+/** Locales whose messages are used, most specific first: `zh-HK` -> `zh-TW` -> `en` */
+export declare function getFallbackChain(locale: string): string[]
+export declare function getLocaleDirection(locale: string): TextDirection
+/** Messages of a locale merged over its fallbacks */
+export declare function resolveMessages(locale: string): Partial<I18nMessages>
+
+export declare class I18n {
+  /** Add or extend a locale; returns the normalized code */
+  static registerLocale(code: string, messages?: Partial<I18nMessages>, options?: RegisterLocaleOptions): string
+  constructor(locale?: string, customMessages?: CustomMessages)
+  locale: string
+  messages: Partial<I18nMessages>
+  /** Text direction of the current locale */
+  readonly dir: TextDirection
+  t(key: string, params?: { [param: string]: any }): string
+  setLocale(locale: string, customMessages?: CustomMessages): void
+  addMessages(messages: CustomMessages): void
+}
+
+export declare const DEFAULT_KEY_PREFIX: 'activeFilters'
+/** True when vue-i18n is installed on the component */
+export declare function hasVueI18n(vm: Vue): boolean
+
+/** Translates through the host app's vue-i18n, falling back to the bundled messages */
+export declare class VueI18nAdapter {
+  constructor(vm: Vue, prefix?: string, customMessages?: CustomMessages)
+  prefix: string
+  /** The vue-i18n locale */
+  readonly locale: string
+  readonly dir: TextDirection
+  getPath(key: string): string
+  t(key: string, params?: { [param: string]: any }): string
+  setLocale(locale: string, customMessages?: CustomMessages): void
+  addMessages(messages: CustomMessages): void
+}
+
+/** Resolve `{param}`, `{n, plural, ...}` and `{key, select, ...}` in a message */
+export declare function formatMessage(message: string, params?: { [param: string]: any }, locale?: string): string
+/** CLDR plural category of a number for a locale, from Intl.PluralRules */
+export declare function getPluralCategory(value: number, locale?: string): 'zero' | 'one' | 'two' | 'few' | 'many' | 'other'
+
+// Undo/redo history
+export declare class FilterHistory {
+  constructor(limit?: number)
+  limit: number
+  readonly canUndo: boolean
+  readonly canRedo: boolean
+  record(filters: ActiveFiltersData): void
+  undo(current: ActiveFiltersData): ActiveFiltersData | null
+  redo(current: ActiveFiltersData): ActiveFiltersData | null
+  setLimit(limit: number): void
+  clear(): void
+}
+
+// Filter presets
+export interface FilterPreset {
+  id: string
+  name: string
+  filters: ActiveFiltersData
+  createdAt: number
+  updatedAt: number
+}
+
+export interface PresetAppliedEvent {
+  presetId: string
+  name: string
+  filters: ActiveFiltersData
+  source: 'FilterPresets'
+}
+
+/** Synchronous Web Storage compatible adapter used to persist presets */
+export interface PresetStorageAdapter {
+  getItem(key: string): string | null
+  setItem(key: string, value: string): void
+  removeItem(key: string): void
+}
+
+export declare const PRESET_STORAGE_PREFIX: string
+export declare function createMemoryAdapter(initial?: { [key: string]: string }): PresetStorageAdapter
+export declare function createLocalStorageAdapter(): PresetStorageAdapter
+
+export declare class PresetManager {
+  constructor(namespace: string, adapter?: PresetStorageAdapter)
+  namespace: string
+  adapter: PresetStorageAdapter
+  readonly storageKey: string
+  list(): FilterPreset[]
+  get(id: string): FilterPreset | null
+  save(name: string, filters: ActiveFiltersData): FilterPreset | null
+  /** `null` when another preset already has the name */
+  rename(id: string, name: string): FilterPreset | null
+  isNameTaken(name: string, exceptId?: string | null): boolean
+  remove(id: string): boolean
+  write(presets: FilterPreset[]): boolean
+}
+
+// Label resolution related types
+/** Labels in the order of `values`, or keyed by value */
+export type ResolvedLabels = (string | null | undefined)[] | { [key: string]: string } | Map<FilterValue, string>
+
+/** Fetches display labels of one column's values, e.g. user names for user IDs */
+export type LabelResolver = (columnProp: string, values: FilterValue[]) => Promise<ResolvedLabels> | ResolvedLabels
+
+/** Payload of DATA_LOADING published while labels are resolved */
+export interface DataLoadingEvent {
+  columnProp: string
+  values: FilterValue[]
+  source: 'ActiveFilters'
+}
+
+/** Payload of DATA_LOADED; `error` is set when the resolver failed */
+export interface DataLoadedEvent extends DataLoadingEvent {
+  /** Resolved labels keyed by value key */
+  labels: { [key: string]: string }
+  error?: any
+}
+
+/** Matching records per value, keyed by value key: `{ status: { active: 1204 }, price: { '10..50': 7 } }` */
+export interface FacetCounts {
+  [columnProp: string]: { [valueKey: string]: number }
+}
+
+/** DATA_LOADED published by the app when new data arrives; ActiveFilters shows its counts on the chips */
+export interface FacetCountsLoadedEvent {
+  facetCounts: FacetCounts
+  source?: string
+  [key: string]: any
+}
+
+export declare const LABEL_STATUS: {
+  readonly PENDING: 'pending'
+  readonly RESOLVED: 'resolved'
+  readonly FAILED: 'failed'
+}
+
+export interface LabelCacheEntry {
+  status: typeof LABEL_STATUS[keyof typeof LABEL_STATUS]
+  label?: string
+}
+
+export declare function normalizeResolvedLabels(values: FilterValue[], result: ResolvedLabels): { [key: string]: string }
+
+/** Cache of labels fetched by a LabelResolver */
+export declare class LabelCache {
+  get(columnProp: string, value: FilterValue): LabelCacheEntry | undefined
+  /** The resolved label, or undefined while pending, after a failure or when unknown */
+  getLabel(columnProp: string, value: FilterValue): string | undefined
+  isPending(columnProp: string, value: FilterValue): boolean
+  /** Values never requested */
+  missing(columnProp: string, values: FilterValue[]): FilterValue[]
+  /** Fetch the labels of one column in a single resolver call; null when cleared meanwhile */
+  resolve(columnProp: string, values: FilterValue[], resolver: LabelResolver): Promise<Omit<DataLoadedEvent, 'source'> | null>
+  clear(): void
+}
+
+/** Id of the shared aria-live region on document.body */
+export declare const LIVE_REGION_ID: string
+/** Returns the shared aria-live region, creating it on first use */
+export declare function getLiveRegion(): HTMLElement | null
+/** Announce a message to screen readers */
+export declare function announce(message: string, delay?: number): void
+
+// Query builder related types
+export declare const COLUMN_TYPES: {
+  readonly STRING: 'string'
+  readonly NUMBER: 'number'
+  readonly BOOLEAN: 'boolean'
+  readonly DATE: 'date'
+}
+
+export type ColumnType = typeof COLUMN_TYPES[keyof typeof COLUMN_TYPES]
+
+export interface QueryBuilderOptions {
+  /** Column type hints used to coerce values, e.g. `'42'` to `42` for a number column */
+  types?: { [columnProp: string]: ColumnType }
+  /** Backend field names of columns whose names differ */
+  fields?: { [columnProp: string]: string }
+}
+
+export type QueryValue = string | number | boolean
+
+/** One non-empty column, as the builders see it */
+export interface QueryCondition {
+  columnProp: string
+  field: string
+  type?: ColumnType
+  /** `eq` values and `in` lists */
+  values: QueryValue[]
+  /** Ranges, plus `gte` / `lte` values as open-ended ranges */
+  ranges: { min: QueryValue | null, max: QueryValue | null }[]
+  comparisons: { operator: 'contains' | 'startsWith' | 'gt' | 'lt', value: QueryValue }[]
+  /** `neq` values and `notIn` lists */
+  excludes: QueryValue[]
+}
+
+export interface RestParamsOptions extends QueryBuilderOptions {
+  /** Prefix of every param name */
+  prefix?: string
+}
+
+export interface ParseRestParamsOptions extends RestParamsOptions {
+  /** Only read these columns */
+  columns?: string[]
+}
+
+/** `{ status: ['a', 'b'], 'price[gte]': '10', 'price[lte]': '50' }` */
+export interface RestParams {
+  [param: string]: string | string[]
+}
+
+export interface ElasticsearchQuery {
+  bool: {
+    filter: { [clause: string]: any }[]
+  }
+}
+
+export interface SqlWhereOptions extends QueryBuilderOptions {
+  /** `?` (default), `$` for `$1, $2, ...`, or a function of the 1-based index */
+  placeholder?: '?' | '$' | ((index: number) => string)
+  /** Defaults to ANSI double quotes */
+  quoteIdentifier?: (name: string) => string
+}
+
+export interface SqlWhereClause {
+  /** `WHERE ...` with placeholders only, or `''` without filters */
+  clause: string
+  /** Values bound to the placeholders, in order */
+  params: QueryValue[]
+}
+
+export interface MongoQuery {
+  [field: string]: any
+}
+
+export declare function coerceValue(value: any, type?: ColumnType): any
+/** True for plain identifiers such as `status` or `order.total`; other columns are skipped unless mapped in `fields` */
+export declare function isSafeFieldName(name: string): boolean
+/** True for ISO dates and datetimes, e.g. `2024-01-01` or `2024-01-01T10:30:00Z` */
+export declare function isIsoDate(value: unknown): boolean
+export declare function collectConditions(filters: ActiveFiltersData, options?: QueryBuilderOptions): QueryCondition[]
+export declare function toRestParams(filters: ActiveFiltersData, options?: RestParamsOptions): RestParams
+/** Values stay strings unless a type hint says otherwise */
+export declare function parseRestParams(params: FilterQuery | RestParams, options?: ParseRestParamsOptions): ActiveFiltersData
+export declare function toElasticsearchQuery(filters: ActiveFiltersData, options?: QueryBuilderOptions): ElasticsearchQuery
+export declare function quoteSqlIdentifier(name: string): string
+export declare function toSqlWhere(filters: ActiveFiltersData, options?: SqlWhereOptions): SqlWhereClause
+export declare function toODataFilter(filters: ActiveFiltersData, options?: QueryBuilderOptions): string
+export declare function toMongoQuery(filters: ActiveFiltersData, options?: QueryBuilderOptions): MongoQuery
+
+// Filter schema
+
+/** One column of the `filterSchema` prop; every key is optional */
+export interface FilterSchemaColumn {
+  /** Display label; `filterLabels` takes precedence */
+  label?: string
+  /** Values, range bounds and operands are coerced to this type; values that do not fit are dropped */
+  type?: ColumnType
+  /** Allowed values; other values are dropped */
+  values?: (FilterScalar | boolean)[]
+  /** `false` keeps only the first value of the column (default `true`) */
+  multiple?: boolean
+}
+
+export interface FilterSchema {
+  [columnProp: string]: FilterSchemaColumn
+}
+
+export declare const VALIDATION_ERRORS: {
+  readonly UNKNOWN_COLUMN: 'unknownColumn'
+  readonly INVALID_VALUE: 'invalidValue'
+  readonly INVALID_TYPE: 'invalidType'
+  readonly NOT_ALLOWED: 'notAllowed'
+  readonly TOO_MANY_VALUES: 'tooManyValues'
+}
+
+export type ValidationErrorReason = typeof VALIDATION_ERRORS[keyof typeof VALIDATION_ERRORS]
+
+export interface FilterValidationIssue {
+  columnProp: string
+  reason: ValidationErrorReason
+  message: string
+  /** The dropped value, or the whole entry of an unknown column */
+  value?: any
+  /** The column's values before trimming, for `tooManyValues` */
+  values?: FilterValue[]
+  type?: ColumnType
+}
+
+export interface FilterValidationResult {
+  /** Every column as an array of valid values; empty columns removed */
+  filters: ActiveFiltersData
+  errors: FilterValidationIssue[]
+  /** The values as given, index for index with `filters` (before coercion) */
+  originals: ActiveFiltersData
+}
+
+/** Payload of `validation-error` */
+export type ValidationErrorEvent = Pick<FilterValidationResult, 'filters' | 'errors'>
+
+export declare class FilterValidationError extends Error {
+  constructor(errors: FilterValidationIssue[])
+  name: 'FilterValidationError'
+  errors: FilterValidationIssue[]
+}
+
+/** Without a schema only the shape of each entry is checked */
+export declare function validateFilters(filters: ActiveFiltersData | null | undefined, schema?: FilterSchema | null): FilterValidationResult
+/** `false` when `process.env.NODE_ENV` is `'production'` or not defined */
+export declare function isDevelopment(): boolean
+
 // EventBus interface
 export interface EventBus {
   publish(event: EventType, data?: any): void
@@ -60,7 +678,103 @@ export interface EventBus {
   unsubscribe(token: string): void
   unsubscribeAll(event: EventType): void
   clear(): void
+  /** Create a channel whose topics are namespaced with its name */
+  createChannel(name: string): EventChannel
+}
+
+/** EventBus scoped to a channel; every topic becomes `<name>/<event>` */
+export interface EventChannel {
+  name: string
+  /** Returns the namespaced topic of an event */
+  topic(event: EventType): string
+  publish(event: EventType, data?: any): void
+  subscribe(event: EventType, callback: (data: any) => void): string
+  unsubscribe(token: string): void
+  unsubscribeAll(event: EventType): void
+}
+
+export declare const CHANNEL_SEPARATOR: '/'
+/** Topic of an event inside a channel, e.g. `orders/FILTER_REMOVED` */
+export declare function getChannelTopic(channel: string, event: EventType): string
+
+/** Read-only `{ filters }` state shared by FilterStore and connected Vuex modules */
+export interface FilterStoreState {
+  readonly filters: Readonly<ActiveFiltersData>
+}
+
+/** Anything the ActiveFilters `store` prop accepts */
+export interface FilterStoreLike {
+  readonly state: FilterStoreState
+  readonly filters: Readonly<ActiveFiltersData>
+  disconnect(): void
+}
+
+export interface FilterStoreOptions {
+  filters?: ActiveFiltersData
+  /** Listen on a channel instead of the global bus */
+  channel?: string
+  /** Subscribe to the bus on creation (default true) */
+  autoConnect?: boolean
+}
+
+/** Events applied by the filter store */
+export declare const STORE_EVENTS: EventType[]
+/** Pure reducer: the filters after applying a bus event */
+export declare function applyFilterEvent(filters: ActiveFiltersData, event: EventType, data: any): ActiveFiltersData
+
+export declare const FILTER_OPERATIONS: {
+  readonly REMOVE: 'remove'
+  readonly UPDATE: 'update'
+  readonly CLEAR_COLUMN: 'clearColumn'
+}
+
+/** One change of a FILTERS_BATCH_CHANGED batch */
+export type FilterOperation =
+  | { type: 'remove', columnProp: string, value: FilterValue, operator: FilterOperator }
+  | { type: 'update', columnProp: string, oldValue: FilterValue, newValue: FilterValue, operator: FilterOperator }
+  | { type: 'clearColumn', columnProp: string, values: FilterValue[] }
+
+/** Payload of `change`; `FILTERS_BATCH_CHANGED` also carries `source` */
+export interface FilterBatchEvent {
+  operations: FilterOperation[]
+  /** The filters after the operations */
+  filters: ActiveFiltersData
+}
+
+/** Apply one batched operation; unknown operations return `filters` */
+export declare function applyFilterOperation(filters: ActiveFiltersData, operation: FilterOperation): ActiveFiltersData
+/** Deep read-only proxy that warns on writes */
+export declare function readonlyView<T extends object>(target: T): Readonly<T>
+
+/** Reactive filter state that applies filter events from the EventBus itself */
+export declare class FilterStore implements FilterStoreLike {
+  constructor(options?: FilterStoreOptions)
+  readonly state: FilterStoreState
+  readonly filters: Readonly<ActiveFiltersData>
+  /** Apply a bus event locally, without publishing it */
+  dispatch(event: EventType, data?: any): void
+  setFilters(filters: ActiveFiltersData): void
+  connect(): void
+  disconnect(): void
+}
+
+export declare function createFilterStore(options?: FilterStoreOptions): FilterStore
+
+export declare const APPLY_FILTER_EVENT: 'APPLY_FILTER_EVENT'
+export declare const SET_FILTERS: 'SET_FILTERS'
+/** Namespaced Vuex module holding `{ filters }` */
+export declare function createFilterModule(options?: { filters?: ActiveFiltersData }): {
+  namespaced: true
+  state: () => { filters: ActiveFiltersData }
+  getters: { filters: (state: { filters: ActiveFiltersData }) => ActiveFiltersData }
+  mutations: { [mutation: string]: (state: { filters: ActiveFiltersData }, payload: any) => void }
 }
+/** Commit bus events to a registered filter module */
+export declare function connectFilterModule(
+  vuexStore: { state: any, commit(type: string, payload?: any): void },
+  namespace?: string,
+  options?: { channel?: string }
+): FilterStoreLike
 
 // Component instance data interface
 export interface ActiveFiltersInstance {
@@ -69,6 +783,7 @@ export interface ActiveFiltersInstance {
     t(key: string, params?: { [key: string]: any }): string
     setLocale(locale: string, customMessages?: CustomMessages): void
     addMessages(messages: CustomMessages): void
+    readonly dir: TextDirection
   }
 }
 
@@ -93,50 +808,461 @@ export default class ActiveFilters extends Vue {
   // Props
   /** Object containing active filters with keys as filter categories and values as arrays of filter values */
   activeFilters: ActiveFiltersData
+  /** A FilterStore (or connected Vuex module); replaces the activeFilters prop */
+  store?: FilterStoreLike | null
   /** Mapping of filter property keys to their display labels */
-  filterLabels: FilterLabels
-  /** Custom background color for the component */
+  filterLabels?: FilterLabels
+  /** Allowed columns with their type, allowed values and cardinality; other filters are dropped */
+  filterSchema?: FilterSchema | null
+  /** Raise a FilterValidationError through Vue's error handling instead of emitting `validation-error` (development only) */
+  strictSchema?: boolean
+  /** Per-column functions mapping raw values to display text */
+  valueFormatters?: ValueFormatters
+  /** Per-column option lists used to look up display text for raw values */
+  filterOptions?: FilterOptionsMap
+  /** Fetches display labels of values, batched per column and cached */
+  labelResolver?: LabelResolver | null
+  /** Keep active filters in sync with the vue-router query string */
+  syncWithUrl?: boolean
+  /** Prefix of the query params used for URL sync */
+  urlParamPrefix?: string
+  /** How multiple values of a column are written to the URL */
+  urlEncoding?: UrlEncoding
+  /** Maximum number of snapshots kept for undo; 0 disables undo */
+  undoLimit?: number
+  /** How long the undo notice stays visible in ms; 0 keeps it until the next action */
+  undoTimeout?: number
+  /** Handle Ctrl+Z / Ctrl+Shift+Z keyboard shortcuts while focus is inside the bar */
+  undoShortcuts?: boolean
+  /** Clicking a tag opens an editor to change its value */
+  editable?: boolean
+  /** Show a toggle on each chip that switches it between include and exclude */
+  excludeToggle?: boolean
+  /** Chips that cannot be removed or cleared */
+  lockedFilters?: LockedFilters
+  /** Show a toggle on each chip that suspends it without removing it */
+  suspendToggle?: boolean
+  /** Matching records per value; overrides counts from DATA_LOADED */
+  facetCounts?: FacetCounts | null
+  /** Results are refreshing; removals are queued until it ends */
+  loading?: boolean
+  /** Hide close buttons and disable Clear All while loading */
+  disableWhileLoading?: boolean
+  /** Send removals and edits made within this many ms as one FILTERS_BATCH_CHANGED; 0 sends each on its own */
+  batchWindow?: number
+  /** 'tags' renders one chip per value, 'grouped' one chip per column */
+  displayMode?: DisplayMode
+  /** Number of values previewed on a grouped chip before "+N" */
+  groupPreviewCount?: number
+  /** Maximum number of tags shown before a "+N more" tag; 0 shows all */
+  maxVisibleTags?: number
+  /** Maximum number of tag rows shown before a "+N more" tag; 0 shows all */
+  maxRows?: number
+  /** Namespaces every published and subscribed EventBus topic */
+  channel?: string
+  /** Colour scheme; colours, spacing and radii are `--af-*` CSS custom properties */
+  theme?: Theme
+  /** Size of the chips and spacing */
+  size?: ComponentSize
+  /** Overrides the theme's background colour (`--af-bg-color`) */
   backgroundColor?: string
+  /** Overrides the theme's border colour (`--af-border-color`) */
+  borderColor?: string
+  /** Per-column el-tag type and effect */
+  tagStyles?: TagStyles
   /** Current locale for internationalization */
   locale?: string
   /** Custom i18n messages */
   customMessages?: CustomMessages
+  /** Use the host app's vue-i18n messages when it is installed */
+  useVueI18n?: boolean
+  /** Key prefix of the vue-i18n messages, e.g. `activeFilters.clearAll` */
+  i18nKeyPrefix?: string
 
   // Data
   /** Array of EventBus subscription tokens for cleanup */
   subscriptionTokens: string[]
+  /** Unwatch functions registered by URL sync */
+  urlWatchers: (() => void)[]
+  /** Undo/redo stacks of filter snapshots */
+  history: FilterHistory
+  /** Text of the visible undo notice, empty when hidden */
+  undoNotice: string
+  /** True when collapsed tags have been expanded with "Show all" */
+  showAllTags: boolean
+  /** Labels fetched by labelResolver */
+  labelCache: LabelCache
+  /** Index of the chip last focused with the keyboard or mouse */
+  focusedIndex: number
+  /** Index to refocus once a chip removed with the keyboard is gone */
+  pendingFocusIndex: number | null
+  /** Keys of the suspended tags */
+  suspendedKeys: { [tagKey: string]: true }
+  /** Facet counts from the last DATA_LOADED that carried them */
+  loadedFacetCounts: FacetCounts | null
+  /** DATA_LOADING events still waiting for their DATA_LOADED */
+  pendingLoads: number
+  /** Removals made while loading */
+  queuedRemovals: { columnProp: string, value: FilterValue }[]
+  /** Batched operations waiting for the window to close */
+  pendingOperations: FilterOperation[]
+  /** Messages of the last reported validation errors */
+  validationErrorKey: string
+  batchTimer: ReturnType<typeof setTimeout> | null
   /** i18n instance for handling translations */
   i18n: ActiveFiltersInstance['i18n']
 
   // Computed properties
+  /** Returns the global EventBus, or a namespaced channel when `channel` is set */
+  readonly bus: EventBus | EventChannel
+  /** Returns the bound store's filters, or the activeFilters prop */
+  readonly sourceFilters: ActiveFiltersData
+  /** Returns sourceFilters with the batched operations applied */
+  readonly rawFilters: ActiveFiltersData
+  /** Returns rawFilters checked against filterSchema */
+  readonly validation: FilterValidationResult
+  /** Returns the normalized filters that are rendered */
+  readonly currentFilters: ActiveFiltersData
   /** Returns true if there are any active filters */
   readonly hasActiveFilters: boolean
-  /** Returns the total count of active filter values */
+  /** Returns what Clear All removes and the locked values it keeps */
+  readonly clearSplit: FiltersClearedEvent
+  /** Returns true when Clear All has anything to remove */
+  readonly hasClearableFilters: boolean
+  /** Returns one entry per rendered filter tag */
+  readonly filterTags: FilterTag[]
+  /** Returns the count of active filter values, without the suspended ones */
   readonly activeFilterCount: number
+  /** Returns the count of suspended filter values */
+  readonly suspendedFilterCount: number
+  /** Returns currentFilters without the suspended values */
+  readonly effectiveFilters: ActiveFiltersData
+  /** Returns the facetCounts prop, or the counts from DATA_LOADED */
+  readonly currentFacetCounts: FacetCounts | null
+  /** Returns true while the loading prop is set or a DATA_LOADING is pending */
+  readonly isLoading: boolean
+  /** Returns true when disableWhileLoading applies */
+  readonly controlsDisabled: boolean
+  /** Returns true in grouped display mode */
+  readonly isGrouped: boolean
+  /** Returns one entry per column with active filters */
+  readonly filterGroups: FilterGroup[]
+  /** Returns the chips to render: tags, or groups in grouped mode */
+  readonly displayItems: (FilterTag | FilterGroup)[]
+  /** Returns the number of chips shown before the "+N more" tag, or null for no limit */
+  readonly visibleTagLimit: number | null
+  /** Returns the chips rendered inline */
+  readonly visibleItems: (FilterTag | FilterGroup)[]
+  /** Returns the tags collapsed behind the "+N more" tag */
+  readonly hiddenTags: FilterTag[]
+  /** Returns the "+N more" text, with suspended tags counted apart */
+  readonly moreTagText: string
+  /** Returns the props passed to the header, count and clear-all slots */
+  readonly headerSlotProps: HeaderSlotProps
+  /** Returns the theme and size classes of the section */
+  readonly themeClasses: string[]
+  /** Returns the custom properties set by backgroundColor and borderColor */
+  readonly themeStyle: { [property: string]: string }
+  /** Returns the number of keyboard-navigable chips, including the "+N more" tag */
+  readonly chipCount: number
+  /** Returns the index of the chip in the tab order */
+  readonly rovingIndex: number
+  /** Returns the URL sync options built from the props */
+  readonly urlSyncOptions: UrlSyncOptions
 
   // Methods
+  /** Create the VueI18nAdapter, or an I18n instance for `locale` */
+  createI18n(): I18n | VueI18nAdapter
+  /** Emit `validation-error`, or throw in strict mode, once per set of errors */
+  reportValidationErrors(validation: FilterValidationResult): void
+  /** The parent's own value for a normalized one, e.g. `'10'` for a coerced `10` */
+  getSourceValue(columnProp: string, value: FilterValue): FilterValue
+  /** The parent's own values of a column */
+  getSourceValues(columnProp: string, values?: FilterValue[]): FilterValue[]
+  /** A filter object built from currentFilters, with the parent's own values */
+  getSourceFilters(filters: ActiveFiltersData): ActiveFiltersData
   /** Get display label for a filter property */
   getColumnLabel(columnProp: string): string
+  /** Get display text for a filter value */
+  getValueLabel(columnProp: string, value: FilterValue): string
+  /** Get the localized word of an operator, e.g. `≠` or `contains` */
+  getOperatorText(operator: FilterOperator): string
+  /** Get the display text of a value with its operator, e.g. `≠ archived` */
+  getValueText(tag: FilterTag): string
+  /** Get the full display text of a tag */
+  getTagText(tag: FilterTag): string
+  /** Returns the number of records matching a tag, or undefined when unknown */
+  getFacetCount(tag: FilterTag): number | undefined
+  /** Returns the locale-formatted facet count, e.g. `(1,204)` */
+  getFacetCountText(tag: FilterTag): string
+  /** Returns true when no records match a tag */
+  isStale(tag: FilterTag): boolean
+  /** Returns the tag text with its facet count */
+  getChipText(tag: FilterTag): string
+  /** Get the slot used to render a tag: `tag-<columnProp>` when provided, else `tag` */
+  getTagSlotName(columnProp: string): string
+  /** Get the props passed to the tag slots */
+  getTagSlotProps(tag: FilterTag): TagSlotProps
+  /** Get the FilterChip props of a tag; grouped popovers pass the value text */
+  getChipProps(tag: FilterTag, text?: string): Record<string, any>
+  /** Get the FilterChip props of a grouped chip */
+  getGroupChipProps(group: FilterGroup): Record<string, any>
+  /** Get the display text of a grouped chip */
+  getGroupText(group: FilterGroup): string
+  /** Measure how many tags fit in `maxRows` rows */
+  measureTags(): void
+  /** Returns the popper class of a popover, with the section's theme and size classes */
+  getPopperClass(name: string): string
+  /** Returns the el-tag size, type and effect of a column's chips */
+  getTagProps(columnProp: string): Required<TagStyle> & { size: ComponentSize }
+  /** Returns 0 for the roving chip and -1 for the others */
+  getChipTabindex(index: number): number
+  /** Returns the aria-label of a chip */
+  getChipAriaLabel(text: string, locked?: boolean): string
+  /** Focus a chip and make it the roving chip */
+  focusChip(index: number): void
+  /** Arrow keys, Home/End, Delete/Backspace, `!`, `S`, Enter/Space and Escape on a chip */
+  handleChipKeydown(event: KeyboardEvent, index: number): void
+  /** Delete/Backspace, `!` and `S` on a tag inside the group or overflow popover */
+  handlePopoverTagKeydown(event: KeyboardEvent, tag: FilterTag): void
+  /** Returns true for `S` without Ctrl, Meta or Alt */
+  isSuspendKey(event: KeyboardEvent): boolean
+  /** Remove a chip and refocus its neighbour once the filters change */
+  removeChip(index: number): void
+  /** Focus the neighbour of a chip removed with the keyboard */
+  restoreChipFocus(): void
+  /** Announce a change through the aria-live region */
+  announceChange(messageKey: string, params: { count: number, suspended?: number, [param: string]: any }): void
+  /** Returns the `filterCount` text, or `filterCountSuspended` when filters are suspended */
+  getCountText(count: number, suspended?: number): string
+  /** Returns true while the tag's label is being resolved */
+  isLabelPending(tag: FilterTag): boolean
+  /** Resolve uncached labels with one labelResolver call per column */
+  resolveLabels(): void
+  /** Returns true when a tag can be edited inline */
+  isTagEditable(tag: FilterTag): boolean
+  /** Returns the operand shown in the inline editor */
+  getEditorValue(value: FilterValue): FilterValue | FilterScalar[]
+  /** Returns the edited value, keeping the operator of the original */
+  getEditedValue(value: FilterValue, operand: FilterScalar): FilterValue
+  /** Returns true for `neq` and `notIn` tags */
+  isExcluded(tag: FilterTag): boolean
+  /** Returns true when the include / exclude toggle is shown on a tag */
+  canToggleExclude(tag: FilterTag): boolean
+  /** Returns true when lockedFilters locks a tag */
+  isLocked(tag: FilterTag): boolean
+  /** Returns true when a grouped chip holds a locked value */
+  isGroupLocked(group: FilterGroup): boolean
+  /** Returns the key of a tag, `<columnProp>-<value key>` */
+  getTagKey(columnProp: string, value: FilterValue): string
+  /** Returns true for suspended tags */
+  isSuspended(tag: FilterTag): boolean
+  /** Returns true when every tag of a grouped chip is suspended */
+  isGroupSuspended(group: FilterGroup): boolean
+  /** Returns true when the suspend toggle is shown on a tag */
+  canSuspend(tag: FilterTag): boolean
+  /** Suspend or resume a filter, publish FILTER_TOGGLED and emit toggle-filter */
+  handleToggleFilter(columnProp: string, value: FilterValue): void
+  /** Returns true for tags whose removal is queued */
+  isQueued(tag: FilterTag): boolean
+  /** Queue a removal until loading ends */
+  queueRemoval(columnProp: string, value: FilterValue): void
+  /** Send the queued removals as one FILTERS_BATCH_CHANGED / `change`, after `batchWindow` if set */
+  flushQueuedRemovals(): void
+  /** Forget suspended values that are no longer active */
+  pruneSuspendedKeys(): void
+  /** Switch a filter between include and exclude, then emit toggle-exclude */
+  handleToggleExclude(columnProp: string, value: FilterValue): void
+  /** Toggle include / exclude of a chip with the `!` key */
+  toggleChipExclude(index: number): void
+  /** Suspend or resume a chip with the `S` key */
+  toggleChipSuspend(index: number): void
+  /** Publish FILTER_CHANGED and emit update-filter for an inline edit or exclude toggle */
+  handleUpdateFilter(columnProp: string, oldValue: FilterValue, newValue: FilterValue, trigger?: string): void
   /** Handle removal of a specific filter */
   handleRemoveFilter(columnProp: string, value: FilterValue): void
-  /** Handle clearing all active filters */
+  /** Handle clearing every value of a column */
+  handleClearColumn(columnProp: string): void
+  /** Handle clearing all active filters except the locked ones */
   handleClearAll(): void
+  /** Hold an operation for `batchWindow` ms, restarting the window */
+  queueOperation(operation: FilterOperation, noticeKey: string): void
+  /** Publish FILTERS_BATCH_CHANGED and emit change with the batched operations */
+  flushBatch(): void
+  /** Drop batched operations replaced by Clear All or undo/redo */
+  cancelBatch(): void
+  /** Record the current filters before a removal or clear */
+  recordHistory(noticeKey: string): void
+  /** True when a shortcut on `target` is for this bar: focus is inside it, or nothing has focus and it was changed last */
+  ownsShortcut(target: EventTarget | null): boolean
+  /** Ctrl+Z / Ctrl+Shift+Z on the document */
+  handleUndoShortcut(event: KeyboardEvent): void
+  /** Restore the filters from before the last removal or clear */
+  handleUndo(): void
+  /** Re-apply the last undone change */
+  handleRedo(): void
+  /** Publish FILTERS_RESTORED and emit restore-filters */
+  restoreFilters(filters: ActiveFiltersData, action: RestoreAction): void
   /** Set up EventBus event listeners */
   setupEventListeners(): void
   /** Clean up EventBus event listeners to prevent memory leaks */
   cleanupEventListeners(): void
+  /** Start syncing filters with the URL when `syncWithUrl` is set */
+  setupUrlSync(): void
+  /** Stop syncing filters with the URL */
+  cleanupUrlSync(): void
+  /** Apply a URL-driven filter change */
+  onUrlQueryChanged(query: FilterQuery): void
+  /** Write the active filters to the URL */
+  writeFiltersToUrl(replace?: boolean): void
   /** Handle filter changed events from EventBus */
-  onFilterChanged(data: EventBusData): void
+  onFilterChanged(data: FilterChangedEvent | EventBusData): void
   /** Handle filter applied events from EventBus */
   onFilterApplied(data: EventBusData): void
+  /** Count a data refresh started by another component */
+  onDataLoading(data: DataLoadingEvent | EventBusData): void
+  /** End a data refresh and take facet counts from DATA_LOADED payloads of other components */
+  onDataLoaded(data: FacetCountsLoadedEvent | DataLoadedEvent): void
 
   // Lifecycle hooks
   /** Component created lifecycle hook */
   created(): void
+  /** Component mounted lifecycle hook */
+  mounted(): void
   /** Component before destroy lifecycle hook */
   beforeDestroy(): void
 }
 
+/**
+ * FilterPresets Vue Component
+ * 
+ * Saves the current active filters under a name and lets users apply,
+ * rename and delete saved presets. Presets are namespaced by `presetKey`.
+ * 
+ * @example
+ * ```vue
+ * <FilterPresets
+ *   preset-key="orders-table"
+ *   :active-filters="activeFilters"
+ *   @apply-preset="({ filters }) => activeFilters = filters"
+ * />
+ * ```
+ */
+export declare class FilterPresets extends Vue {
+  // Props
+  /** Filters saved when the user creates a preset */
+  activeFilters: ActiveFiltersData
+  /** Namespace of the presets, e.g. one key per page or table */
+  presetKey: string
+  /** Storage adapter; defaults to localStorage */
+  storage?: PresetStorageAdapter | null
+  /** Namespaces the published EventBus topics */
+  channel?: string
+  /** Current locale for internationalization */
+  locale?: string
+  /** Custom i18n messages */
+  customMessages?: CustomMessages
+
+  // Data
+  /** Presets loaded from storage */
+  presets: FilterPreset[]
+
+  // Computed properties
+  /** Returns the global EventBus, or a namespaced channel when `channel` is set */
+  readonly bus: EventBus | EventChannel
+  /** Returns true when a name is entered and there are filters to save */
+  readonly canSave: boolean
+  /** Returns true when the edited name is not blank and no other preset has it */
+  readonly canRename: boolean
+
+  // Methods
+  /** Reload presets from storage */
+  loadPresets(): void
+  /** Save the active filters under the entered name */
+  handleSavePreset(): void
+  /** Publish PRESET_APPLIED and emit apply-preset */
+  handleApplyPreset(preset: FilterPreset): void
+  /** Rename a preset to the edited name */
+  handleRenamePreset(id: string): void
+  /** Delete a preset */
+  handleDeletePreset(preset: FilterPreset): void
+}
+
+/** `(query, columnProp) => options` for server-side search in DropdownFilter */
+export type RemoteSearchMethod = (query: string, columnProp: string) => Promise<FilterOption[]> | FilterOption[]
+
+/** Payload of DropdownFilter's change, apply and sync events */
+export interface DropdownFilterChangeEvent {
+  columnProp: string
+  values: FilterScalar[]
+}
+
+/**
+ * DropdownFilter Vue Component
+ * 
+ * An Element UI select for a single column. Publishes FILTER_CHANGED and
+ * FILTER_APPLIED, and follows removals and clears from ActiveFilters.
+ * 
+ * @example
+ * ```vue
+ * <DropdownFilter
+ *   v-model="activeFilters.status"
+ *   column-prop="status"
+ *   :remote-method="searchStatuses"
+ * />
+ * ```
+ */
+export declare class DropdownFilter extends Vue {
+  // Props
+  /** The column this dropdown filters */
+  columnProp: string
+  label?: string
+  /** Selected values (v-model); a single value when `multiple` is false, with `''` for none */
+  value?: FilterScalar[] | FilterScalar
+  /** Choices shown when no `remoteMethod` is set */
+  options?: FilterOption[]
+  multiple?: boolean
+  filterable?: boolean
+  /** Loads options from the server as the user types */
+  remoteMethod?: RemoteSearchMethod | null
+  placeholder?: string
+  disabled?: boolean
+  size?: string
+  /** Namespaces the published and subscribed EventBus topics */
+  channel?: string
+  /** Current locale for internationalization */
+  locale?: string
+  /** Custom i18n messages */
+  customMessages?: CustomMessages
+
+  // Data
+  /** Options returned by the latest remote search */
+  remoteOptions: FilterOption[]
+  /** True while a remote search is pending */
+  loading: boolean
+
+  // Computed properties
+  /** Returns the global EventBus, or a namespaced channel when `channel` is set */
+  readonly bus: EventBus | EventChannel
+  readonly isRemote: boolean
+  /** Returns the remote or static options */
+  readonly selectOptions: FilterOption[]
+  /** Returns the selection as the column's list of values */
+  readonly selectedValues: FilterScalar[]
+
+  // Methods
+  /** Apply a bus event from another component to the selection */
+  onFilterEvent(event: EventType, data: any): void
+  /** Returns a list when `multiple`, otherwise the first value or `''` */
+  normalizeSelection(value: FilterScalar[] | FilterScalar | null | undefined): FilterScalar[] | FilterScalar
+  /** Publish FILTER_CHANGED for a new selection */
+  handleChange(value: FilterScalar[] | FilterScalar): void
+  /** Publish FILTER_APPLIED if the selection changed since the last apply */
+  applySelection(): void
+  /** Run the remote method; stale responses are dropped */
+  handleRemoteSearch(query: string): Promise<void> | undefined
+}
+
 // Vue module augmentation for better IDE support
 declare module 'vue/types/vue' {
   interface Vue {
@@ -150,17 +1276,69 @@ declare module '@terry0316/vue2-active-filters' {
   const ActiveFilters: VueConstructor<ActiveFilters>
   export default ActiveFilters
   export {
+    FilterPresets,
+    DropdownFilter,
+    LabelResolver,
+    ResolvedLabels,
+    DataLoadingEvent,
+    DataLoadedEvent,
+    LabelCache,
+    RemoteSearchMethod,
+    DropdownFilterChangeEvent,
     ActiveFiltersData,
     FilterLabels,
+    FilterOption,
+    ValueFormatter,
+    ValueFormatters,
+    FilterOptionsMap,
     CustomMessages,
     FilterRemoveEvent,
+    FilterChangedEvent,
+    FilterUpdateEvent,
+    FilterTag,
+    TagSlotProps,
+    HeaderSlotProps,
+    FilterGroup,
+    DisplayMode,
+    Theme,
+    ComponentSize,
+    TagStyle,
+    TagStyles,
+    ColumnClearEvent,
+    RestoreAction,
+    FiltersRestoredEvent,
     EventBusData,
     FilterValue,
+    FilterScalar,
+    FilterRangeBound,
+    FilterRangeObject,
+    FilterRangeTuple,
+    FilterRange,
     FilterKey,
     EventType,
+    UrlEncoding,
+    UrlSyncOptions,
+    FilterQuery,
     I18nMessages,
     LocaleConfig,
+    TextDirection,
+    RegisterLocaleOptions,
+    I18n,
+    VueI18nAdapter,
     EventBus,
+    EventChannel,
+    FilterHistory,
+    FilterPreset,
+    PresetAppliedEvent,
+    PresetStorageAdapter,
+    PresetManager,
+    FilterStore,
+    createFilterStore,
+    createFilterModule,
+    connectFilterModule,
+    FilterStoreState,
+    FilterStoreLike,
+    FilterStoreOptions,
     ActiveFiltersInstance,
     ActiveFiltersOptions
   }
@@ -170,6 +1348,8 @@ declare module '@terry0316/vue2-active-filters' {
 declare module 'vue/types/vue' {
   interface VueConstructor {
     component(name: 'ActiveFilters', component: VueConstructor<ActiveFilters>): VueConstructor
+    component(name: 'FilterPresets', component: VueConstructor<FilterPresets>): VueConstructor
+    component(name: 'DropdownFilter', component: VueConstructor<DropdownFilter>): VueConstructor
   }
 }
 
@@ -181,14 +1361,132 @@ export interface ActiveFiltersOptions {
       type: ObjectConstructor
       default: () => ActiveFiltersData
     }
+    store: {
+      type: ObjectConstructor
+      default: null
+    }
     filterLabels: {
       type: ObjectConstructor
-      required: true
+      default: () => FilterLabels
+    }
+    filterSchema: {
+      type: ObjectConstructor
+      default: null
+    }
+    strictSchema: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    valueFormatters: {
+      type: ObjectConstructor
+      default: () => ValueFormatters
+    }
+    filterOptions: {
+      type: ObjectConstructor
+      default: () => FilterOptionsMap
+    }
+    labelResolver: {
+      type: FunctionConstructor
+      default: null
+    }
+    syncWithUrl: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    urlParamPrefix: {
+      type: StringConstructor
+      default: string
+    }
+    urlEncoding: {
+      type: StringConstructor
+      default: UrlEncoding
+    }
+    editable: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    excludeToggle: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    facetCounts: {
+      type: ObjectConstructor
+      default: null
+    }
+    suspendToggle: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    loading: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    disableWhileLoading: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    batchWindow: {
+      type: NumberConstructor
+      default: number
+    }
+    lockedFilters: {
+      type: (ObjectConstructor | ArrayConstructor)[]
+      default: () => LockedFilters
+    }
+    displayMode: {
+      type: StringConstructor
+      default: DisplayMode
+    }
+    groupPreviewCount: {
+      type: NumberConstructor
+      default: number
+    }
+    maxVisibleTags: {
+      type: NumberConstructor
+      default: number
+    }
+    maxRows: {
+      type: NumberConstructor
+      default: number
+    }
+    undoLimit: {
+      type: NumberConstructor
+      default: number
+    }
+    undoTimeout: {
+      type: NumberConstructor
+      default: number
+    }
+    undoShortcuts: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    channel: {
+      type: StringConstructor
+      default: string
+    }
+    theme: {
+      type: StringConstructor
+      default: string
+      validator: (value: string) => boolean
+    }
+    size: {
+      type: StringConstructor
+      default: string
+      validator: (value: string) => boolean
     }
     backgroundColor: {
       type: StringConstructor
       default: string
     }
+    borderColor: {
+      type: StringConstructor
+      default: string
+    }
+    tagStyles: {
+      type: ObjectConstructor
+      default: () => TagStyles
+    }
     locale: {
       type: StringConstructor
       default: string
@@ -197,6 +1495,14 @@ export interface ActiveFiltersOptions {
       type: ObjectConstructor
       default: () => CustomMessages
     }
+    useVueI18n: {
+      type: BooleanConstructor
+      default: boolean
+    }
+    i18nKeyPrefix: {
+      type: StringConstructor
+      default: string
+    }
   }
 }
 